@@ -5,14 +5,17 @@
 const fs = require('fs');
 const path = require('path');
 const config = require('../config.json');
+const { now } = require('./utils');
 
-const ALERT_TYPES = ['TRADE_OPEN', 'TRADE_CLOSE', 'SIGNAL', 'PORTFOLIO_UPDATE', 'ERROR', 'HEARTBEAT',
-                     'GRID_SETUP', 'GRID_BUY', 'GRID_SELL', 'GRID_STATUS'];
+const ALERT_TYPES = ['TRADE_OPEN', 'TRADE_CLOSE', 'TRADE_PARTIAL_CLOSE', 'SIGNAL', 'PORTFOLIO_UPDATE', 'ERROR', 'HEARTBEAT',
+                     'GRID_SETUP', 'GRID_BUY', 'GRID_SELL', 'GRID_STATUS', 'REGIME_CHANGE',
+                     'WATCHLIST_UPDATE', 'TOKEN_BLOCKED', 'SCAN_FUNNEL'];
 
 const MAX_LOG_SIZE = 5 * 1024 * 1024; // 5MB
 const MAX_BACKUPS = 1;
 let _writing = false; // Prevent recursive write loops
 let _lastRotateCheck = 0;
+let _sink = null; // Optional override: receives alerts instead of file/console
 
 /**
  * Rotate log file if it exceeds MAX_LOG_SIZE
@@ -49,15 +52,20 @@ function writeAlert(type, message, data = {}) {
   _writing = true;
 
   try {
-    rotateIfNeeded();
+    if (!_sink) rotateIfNeeded();
 
     const alert = {
-      timestamp: new Date().toISOString(),
+      timestamp: new Date(now()).toISOString(),
       type,
       message,
       data
     };
 
+    if (_sink) {
+      _sink(alert);
+      return;
+    }
+
     const line = JSON.stringify(alert) + '\n';
 
     try {
@@ -68,9 +76,11 @@ function writeAlert(type, message, data = {}) {
 
     // Log to console (wrapped to prevent EPIPE cascade)
     const emoji = {
-      TRADE_OPEN: '🟢', TRADE_CLOSE: '🔴', SIGNAL: '📡',
+      TRADE_OPEN: '🟢', TRADE_CLOSE: '🔴', TRADE_PARTIAL_CLOSE: '🟠', SIGNAL: '📡',
       PORTFOLIO_UPDATE: '📊', ERROR: '❌', HEARTBEAT: '💓',
-      GRID_SETUP: '📐', GRID_BUY: '🟩', GRID_SELL: '🟥', GRID_STATUS: '📊'
+      GRID_SETUP: '📐', GRID_BUY: '🟩', GRID_SELL: '🟥', GRID_STATUS: '📊',
+      REGIME_CHANGE: '🧭', WATCHLIST_UPDATE: '📝', TOKEN_BLOCKED: '🛡️',
+      SCAN_FUNNEL: '🔎'
     };
     try {
       console.log(`${emoji[type] || '📋'} [${type}] ${message}`);
@@ -82,4 +92,12 @@ function writeAlert(type, message, data = {}) {
   }
 }
 
-module.exports = { writeAlert, ALERT_TYPES };
+/**
+ * Redirect alerts to a callback instead of alerts.log + console (used by the backtester)
+ * @param {function|null} fn - Receives the alert object; null restores normal logging
+ */
+function setAlertSink(fn) {
+  _sink = fn;
+}
+
+module.exports = { writeAlert, setAlertSink, ALERT_TYPES };
@@ -0,0 +1,386 @@
+/**
+ * Backtester - replays recorded market data through the live signal and risk code
+ *
+ * Runs fully offline: candidates go through detectSignals, entries through
+ * canOpenPosition/calculateSLTP/sizePosition, and exits through
+ * updateTrailingStop, checkExitLadder, checkPosition and the time stop.
+ * Equity (and the drawdown kill switch) comes from updateEquity. Fills come
+ * from the paper venue (seeded, no latency) and state is kept in memory, so
+ * state.json and alerts.log are never touched.
+ *
+ * Usage:
+ *   node src/backtest.js <file|dir> [...] [--capital 100] [--fee-bps 25] [--slippage-bps 30]
+ *                        [--failure-rate 0.02] [--seed 1] [--verbose]
+ *
+ * Input: JSON lines (plain or .gz), one market event per line:
+ *   {"ts":1700000000000,"type":"candidate","data":{ ...normalizePair output }}
+ *   {"ts":1700000000000,"type":"price","data":{"mint":"...","price":1.23}}
+ * Candidate events sharing a timestamp are replayed as one scan cycle.
+ */
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const config = require('../config.json');
+const { setClock, fmtUsd } = require('./utils');
+const { setAlertSink } = require('./alerts');
+const { useMemoryState, getState, addPosition, partialClosePosition, closePosition, deductCapital } = require('./state');
+const { createPaperVenue } = require('./paper');
+const { updateEquity } = require('./portfolio');
+const { getPerformance, formatPerformance } = require('./performance');
+const { detectSignals } = require('./signals');
+const { recordPrice } = require('./history');
+const { checkExposure } = require('./exposure');
+const { updateRegime } = require('./regime');
+const { getTokenTrend, tokenTrendAllows } = require('./trend');
+const { getStrategyConfig } = require('./strategies');
+const { canOpenPosition, canOpenStrategy, sizePosition, calculateSLTP, checkPosition, buildExitLadder, checkExitLadder, updateTrailingStop, checkTimeStop, getRecentClose, hasPosition } = require('./risk');
+
+const SIM_DECIMALS = 9; // replayed tokens have no mint account to read decimals from
+
+/**
+ * Parse command line arguments
+ * @returns {{ inputs: string[], capital: number, venue: object, seed: number, verbose: boolean }}
+ */
+function parseArgs(argv) {
+  const opts = {
+    inputs: [],
+    capital: config.capital.starting,
+    venue: {},
+    seed: 1,
+    verbose: false
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--capital') opts.capital = Number(argv[++i]);
+    else if (arg === '--fee-bps') opts.venue.swapFeeBps = Number(argv[++i]);
+    else if (arg === '--slippage-bps') opts.venue.slippageBps = Number(argv[++i]);
+    else if (arg === '--failure-rate') opts.venue.failureRate = Number(argv[++i]);
+    else if (arg === '--seed') opts.seed = Number(argv[++i]);
+    else if (arg === '--verbose') opts.verbose = true;
+    else opts.inputs.push(arg);
+  }
+  return opts;
+}
+
+/**
+ * Expand directories into the data files they contain (sorted by name = by date)
+ */
+function listDataFiles(inputs) {
+  const files = [];
+  for (const input of inputs) {
+    if (fs.statSync(input).isDirectory()) {
+      const entries = fs.readdirSync(input)
+        .filter(f => f.endsWith('.jsonl') || f.endsWith('.jsonl.gz'))
+        .sort();
+      files.push(...entries.map(f => path.join(input, f)));
+    } else {
+      files.push(input);
+    }
+  }
+  return files;
+}
+
+/**
+ * Text of a data file; a gzip member cut short by an interrupted recorder
+ * yields what decodes (Z_SYNC_FLUSH) instead of throwing
+ */
+function readDataFile(file) {
+  const raw = fs.readFileSync(file);
+  if (!file.endsWith('.gz')) return raw.toString('utf-8');
+  return zlib.gunzipSync(raw, { finishFlush: zlib.constants.Z_SYNC_FLUSH }).toString('utf-8');
+}
+
+/**
+ * Load and time-sort all market events from the data files (unreadable files are skipped)
+ */
+function loadEvents(files) {
+  const events = [];
+  for (const file of files) {
+    let text;
+    try {
+      text = readDataFile(file);
+    } catch (err) {
+      console.log(`[BACKTEST] Skipping unreadable ${file}: ${err.message}`);
+      continue;
+    }
+
+    for (const line of text.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        const event = JSON.parse(line);
+        if (event.ts && event.data && (event.type === 'candidate' || event.type === 'price')) {
+          events.push(event);
+        }
+      } catch (_) {
+        // Truncated last line from an interrupted write — skip it
+      }
+    }
+  }
+  return events.sort((a, b) => a.ts - b.ts);
+}
+
+/** Deterministic RNG (mulberry32) so replays with the same seed give the same fills */
+function seededRandom(seed) {
+  let t = seed >>> 0;
+  return () => {
+    t = (t + 0x6D2B79F5) >>> 0;
+    let r = Math.imul(t ^ (t >>> 15), 1 | t);
+    r = (r + Math.imul(r ^ (r >>> 7), 61 | r)) ^ r;
+    return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Paper venue filling at the latest replayed quote for each mint
+ * @param {Map} quotes - mint -> { price, liquidity }
+ */
+function createReplayVenue(quotes, opts, log) {
+  return createPaperVenue({
+    getPrice: async (mint) => quotes.get(mint) || null,
+    getDecimals: async () => SIM_DECIMALS,
+    book: { usdc: opts.capital },
+    options: { latencyMs: [0, 0], ...opts.venue },
+    random: seededRandom(opts.seed),
+    wait: async () => {},
+    log
+  });
+}
+
+/**
+ * Check every open position against the latest replayed prices (mirrors positionLoop)
+ */
+async function checkPositions(quotes, venue, log) {
+  const state = getState();
+  for (const pos of [...state.positions]) {
+    const currentPrice = quotes.get(pos.mint)?.price;
+    if (!currentPrice) continue;
+
+    updateTrailingStop(pos, currentPrice);
+
+    const tranche = checkExitLadder(pos, currentPrice);
+    if (tranche && !tranche.final) {
+      const result = await venue.sell(pos.mint, tranche.amount, pos.token);
+      if (result.success) {
+        pos.exitLadder[tranche.index].filled = true;
+        const part = partialClosePosition(pos.id, tranche.amount, result.price, result.usdcReceived, tranche.reason);
+        log(`PART  ${pos.token} ${tranche.reason} @ $${currentPrice.toFixed(6)} → ${fmtUsd(part.pnl)}`);
+      } else if (result.feeUsdc) {
+        deductCapital(result.feeUsdc);
+      }
+    }
+
+    let { shouldClose, reason } = checkPosition(pos, currentPrice);
+    if (!shouldClose && tranche?.final) {
+      shouldClose = true;
+      reason = tranche.reason;
+    }
+    if (!shouldClose && checkTimeStop(pos, currentPrice - pos.entryPrice)) {
+      shouldClose = true;
+      reason = 'TIME_STOP_24H';
+    }
+    if (!shouldClose) continue;
+
+    const result = await venue.sell(pos.mint, pos.amount, pos.token);
+    if (!result.success) {
+      if (result.feeUsdc) deductCapital(result.feeUsdc);
+      log(`SELL FAILED ${pos.token}: ${result.error}`);
+      continue;
+    }
+    const closed = closePosition(pos.id, result.price, result.usdcReceived, reason);
+    log(`CLOSE ${closed.token} ${reason} @ $${currentPrice.toFixed(6)} → ${fmtUsd(closed.pnl)} (${closed.pnlPercent}%)`);
+  }
+}
+
+/**
+ * Run one scan cycle on a batch of candidates (mirrors scanLoop, minus Drift shorts and grids)
+ * The regime comes from recorded bars only; there is no SMA fallback while they warm up.
+ */
+async function scanStep(ts, candidates, venue, log) {
+  if (!canOpenPosition().allowed) return;
+
+  const { regime } = updateRegime();
+
+  const signals = detectSignals(candidates);
+  for (const signal of signals.slice(0, 3)) {
+    if (!canOpenPosition().allowed) break;
+    if (hasPosition(signal.mint)) continue;
+    if (getRecentClose(signal.mint)) continue;
+
+    const strategy = signal.strategy || 'momentum';
+    const tokenTrend = getTokenTrend(signal.mint);
+    if (!tokenTrendAllows(getStrategyConfig(strategy).tokenTrends, tokenTrend.trend)) continue;
+    if (!canOpenStrategy(strategy).allowed) continue;
+    const { stopLoss, takeProfit, volatility } = calculateSLTP(signal.price, strategy, signal.mint);
+
+    const sizing = sizePosition(signal, { entryPrice: signal.price, stopLoss, mint: signal.mint });
+    if (sizing.size < 5) continue;
+
+    const exposure = checkExposure({ mint: signal.mint, token: signal.token, size: sizing.size, side: 'long' });
+    if (!exposure.allowed) {
+      log(`SKIP ${signal.token}: ${exposure.reason}`);
+      continue;
+    }
+    const size = exposure.size;
+
+    const result = await venue.buy(signal.mint, size, signal.token);
+    if (!result.success) {
+      if (result.feeUsdc) deductCapital(result.feeUsdc);
+      log(`BUY FAILED ${signal.token}: ${result.error}`);
+      continue;
+    }
+
+    addPosition({
+      id: `bt-${ts}-${signal.mint.slice(0, 6)}`,
+      token: signal.token,
+      mint: signal.mint,
+      entryPrice: signal.price,
+      amount: result.outputAmount,
+      initialAmount: result.outputAmount,
+      usdcSpent: size,
+      openedAt: new Date(ts).toISOString(),
+      stopLoss,
+      takeProfit,
+      simulated: true,
+      signalScore: signal.score,
+      signalReasons: signal.reasons,
+      strategy,
+      regime,
+      tokenTrend,
+      volatility,
+      sizing: { model: sizing.model, ...sizing.inputs },
+      exitLadder: buildExitLadder(strategy)
+    });
+    deductCapital(size);
+    log(`OPEN  ${signal.token} ${strategy} score ${signal.score} ${fmtUsd(size)} @ $${signal.price.toFixed(6)}`);
+  }
+}
+
+/**
+ * Replay events and collect results
+ * @param {object[]} events - Time-sorted market events
+ * @param {object} opts - Parsed options
+ */
+async function runBacktest(events, opts) {
+  let simTime = events.length > 0 ? events[0].ts : Date.now();
+  const log = opts.verbose
+    ? (msg) => console.log(`[BACKTEST] ${new Date(simTime).toISOString()} ${msg}`)
+    : () => {};
+
+  setClock(() => simTime);
+  setAlertSink(() => {});
+  useMemoryState({ capitalUsdc: opts.capital, initialCapital: opts.capital });
+
+  const quotes = new Map();
+  const venue = createReplayVenue(quotes, opts, log);
+  const equityCurve = [];
+
+  // Process events in same-timestamp batches
+  for (let i = 0; i < events.length;) {
+    const ts = events[i].ts;
+    const candidates = [];
+    simTime = ts;
+    for (; i < events.length && events[i].ts === ts; i++) {
+      const { type, data } = events[i];
+      if (!data.mint || !(data.price > 0)) continue;
+      quotes.set(data.mint, { price: data.price, liquidity: data.liquidity || quotes.get(data.mint)?.liquidity || 0 });
+      if (type === 'candidate') candidates.push(data);
+      else recordPrice(data.mint, data.price); // candidates are recorded by detectSignals
+    }
+
+    await checkPositions(quotes, venue, log);
+    if (candidates.length > 0) await scanStep(ts, candidates, venue, log);
+    const prices = new Map([...quotes].map(([mint, q]) => [mint, q.price]));
+    equityCurve.push({ ts, equity: updateEquity(prices).equity });
+  }
+
+  setAlertSink(null);
+  setClock(null);
+
+  return { state: getState(), equityCurve, quotes, feesPaid: venue.book.feesPaid };
+}
+
+/**
+ * Summarize trades, PnL, win rate and drawdown
+ */
+function summarize({ state, equityCurve, quotes, feesPaid }, opts) {
+  const trades = state.closedTrades;
+  const wins = trades.filter(t => t.pnl > 0);
+  const realized = trades.reduce((sum, t) => sum + t.pnl, 0);
+
+  let peak = opts.capital;
+  let maxDrawdown = 0;
+  for (const { equity } of equityCurve) {
+    peak = Math.max(peak, equity);
+    maxDrawdown = Math.max(maxDrawdown, (peak - equity) / peak * 100);
+  }
+
+  const finalEquity = equityCurve.length > 0 ? equityCurve[equityCurve.length - 1].equity : opts.capital;
+
+  return {
+    trades: trades.length,
+    wins: wins.length,
+    winRate: trades.length > 0 ? wins.length / trades.length * 100 : 0,
+    realizedPnl: realized,
+    openPositions: state.positions.map(p => ({
+      token: p.token,
+      entryPrice: p.entryPrice,
+      lastPrice: quotes.get(p.mint)?.price || p.entryPrice
+    })),
+    finalEquity,
+    returnPercent: (finalEquity - opts.capital) / opts.capital * 100,
+    maxDrawdownPercent: maxDrawdown,
+    feesPaid,
+    strategies: getPerformance(),
+    killSwitch: state.killSwitchTriggered
+  };
+}
+
+/** Print the trade log and summary */
+function printReport(result, summary) {
+  const trades = result.state.closedTrades;
+  console.log('='.repeat(60));
+  console.log('  Backtest Results');
+  console.log('='.repeat(60));
+
+  for (const t of trades) {
+    const pnl = `${t.pnl >= 0 ? '+' : ''}${t.pnl.toFixed(2)}`;
+    console.log(`  ${t.openedAt.slice(0, 16)} → ${t.closedAt.slice(0, 16)}  ${t.token.padEnd(8)} ${(t.strategy || '').padEnd(14)} ${pnl.padStart(8)} (${t.pnlPercent}%) [${t.reason}]`);
+  }
+  for (const p of summary.openPositions) {
+    console.log(`  OPEN ${p.token}: entry $${p.entryPrice.toFixed(6)}, last $${p.lastPrice.toFixed(6)}`);
+  }
+
+  console.log('-'.repeat(60));
+  console.log(`  Trades: ${summary.trades} | Win rate: ${summary.winRate.toFixed(1)}% (${summary.wins}/${summary.trades})`);
+  console.log(`  Realized PnL: ${fmtUsd(summary.realizedPnl)} | Fees paid: ${fmtUsd(summary.feesPaid)}`);
+  console.log(`  Final equity: ${fmtUsd(summary.finalEquity)} (${summary.returnPercent.toFixed(1)}%)`);
+  console.log(`  Max drawdown: ${summary.maxDrawdownPercent.toFixed(1)}%${summary.killSwitch ? ' | KILL SWITCH TRIGGERED' : ''}`);
+  for (const line of formatPerformance(summary.strategies)) console.log(`  ${line}`);
+  console.log('='.repeat(60));
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  if (opts.inputs.length === 0) {
+    console.error('Usage: node src/backtest.js <file|dir> [...] [--capital N] [--fee-bps N] [--slippage-bps N] [--verbose]');
+    process.exit(1);
+  }
+
+  const files = listDataFiles(opts.inputs);
+  const events = loadEvents(files);
+  console.log(`[BACKTEST] Loaded ${events.length} events from ${files.length} file(s)`);
+  if (events.length === 0) process.exit(1);
+
+  const result = await runBacktest(events, opts);
+  printReport(result, summarize(result, opts));
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error('[BACKTEST] Fatal error:', err);
+    process.exit(1);
+  });
+}
+
+module.exports = { runBacktest, summarize, loadEvents };
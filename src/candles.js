@@ -0,0 +1,249 @@
+/**
+ * Candle builder - aggregates polled prices into OHLCV bars per mint
+ *
+ * Timeframes: 1m, 5m, 15m, 1h. Bars are aligned to UTC boundaries and capped
+ * at config.candles.maxBars[tf]. A tick updates the open bar of every
+ * timeframe; a tick in a later period closes it.
+ *
+ * Volume is an estimate: DexScreener only reports rolling windows, so each
+ * bar carries the mean h1 volume seen during the bar, pro-rated to its length.
+ * Gaps (no ticks for a whole period) produce no bar.
+ *
+ * A jump of more than config.candles.maxGapBars periods since the last bar
+ * (outage, restart from an old snapshot) resets that timeframe, so indicators
+ * never straddle missing data.
+ *
+ * New mints can be backfilled with 1h bars reconstructed from the candidate's
+ * h1/h6/h24 price changes (anchors at -24h, -6h, -1h and now, linearly
+ * interpolated in between). Backfilled bars are flagged `backfilled: true`.
+ */
+const config = require('../config.json');
+const { now } = require('./utils');
+
+const TIMEFRAMES = {
+  '1m': 60 * 1000,
+  '5m': 5 * 60 * 1000,
+  '15m': 15 * 60 * 1000,
+  '1h': 60 * 60 * 1000
+};
+
+const DEFAULT_MAX_BARS = { '1m': 1440, '5m': 288, '15m': 192, '1h': 192 };
+const HOUR_MS = TIMEFRAMES['1h'];
+
+// Map<mint, { [tf]: Array<{ t, open, high, low, close, volume, ticks, volSum, volCount, backfilled? }> }>
+const series = new Map();
+
+/**
+ * Bars kept per mint for a timeframe
+ */
+function maxBars(tf) {
+  return config.candles?.maxBars?.[tf] || DEFAULT_MAX_BARS[tf];
+}
+
+/** True if a bar starting at t would leave too many missing periods after lastT */
+function isGap(lastT, t, tf) {
+  const maxGapBars = config.candles?.maxGapBars ?? 3;
+  return (t - lastT) / TIMEFRAMES[tf] > maxGapBars;
+}
+
+function barsFor(mint) {
+  if (!series.has(mint)) {
+    series.set(mint, Object.fromEntries(Object.keys(TIMEFRAMES).map(tf => [tf, []])));
+  }
+  return series.get(mint);
+}
+
+/**
+ * Add a price tick to every timeframe
+ * @param {string} mint - Token mint
+ * @param {number} price - Price in USD
+ * @param {object} [opts] - { ts, volume1h: rolling 1h USD volume at this tick }
+ */
+function addTick(mint, price, opts = {}) {
+  if (!(price > 0)) return;
+  const ts = opts.ts ?? now();
+  const all = barsFor(mint);
+
+  for (const [tf, ms] of Object.entries(TIMEFRAMES)) {
+    const bars = all[tf];
+    const t = Math.floor(ts / ms) * ms;
+    let bar = bars[bars.length - 1];
+
+    if (bar && t < bar.t) continue; // out-of-order tick for an already-closed period
+
+    if (bar && t > bar.t && isGap(bar.t, t, tf)) {
+      console.log(`[CANDLES] ${mint.slice(0, 8)} ${tf}: ${Math.round((t - bar.t) / ms)} period gap, restarting series`);
+      bars.length = 0;
+      bar = undefined;
+    }
+
+    if (!bar || t > bar.t) {
+      bar = { t, open: price, high: price, low: price, close: price, volume: 0, ticks: 0, volSum: 0, volCount: 0 };
+      bars.push(bar);
+      if (bars.length > maxBars(tf)) bars.splice(0, bars.length - maxBars(tf));
+    }
+
+    bar.high = Math.max(bar.high, price);
+    bar.low = Math.min(bar.low, price);
+    bar.close = price;
+    bar.ticks++;
+    if (opts.volume1h > 0) {
+      bar.volSum += opts.volume1h;
+      bar.volCount++;
+      bar.volume = (bar.volSum / bar.volCount) * (ms / HOUR_MS);
+    }
+  }
+}
+
+/**
+ * Seed 1h bars for a mint with no 1h history from DexScreener price changes
+ * @param {object} candidate - normalizePair output (price, priceChange1h/6h/24h, volume1h/6h/24h)
+ * @returns {number} Bars added
+ */
+function backfill(candidate) {
+  const all = barsFor(candidate.mint);
+  if (all['1h'].length > 0 || !(candidate.price > 0)) return 0;
+
+  const nowHour = Math.floor(now() / HOUR_MS) * HOUR_MS;
+  const at = (changePercent) => candidate.price / (1 + (changePercent || 0) / 100);
+  // [hours ago, price]
+  const anchors = [
+    [24, at(candidate.priceChange24h)],
+    [6, at(candidate.priceChange6h)],
+    [1, at(candidate.priceChange1h)],
+    [0, candidate.price]
+  ];
+
+  const priceAt = (hoursAgo) => {
+    for (let i = 0; i < anchors.length - 1; i++) {
+      const [h0, p0] = anchors[i];
+      const [h1, p1] = anchors[i + 1];
+      if (hoursAgo <= h0 && hoursAgo >= h1) return p0 + (p1 - p0) * (h0 - hoursAgo) / (h0 - h1);
+    }
+    return candidate.price;
+  };
+
+  const hourlyVolume = (hoursAgo) => {
+    if (hoursAgo <= 1) return candidate.volume1h || 0;
+    if (hoursAgo <= 6) return Math.max(0, ((candidate.volume6h || 0) - (candidate.volume1h || 0)) / 5);
+    return Math.max(0, ((candidate.volume24h || 0) - (candidate.volume6h || 0)) / 18);
+  };
+
+  // Closed hours only: the current hour fills from live ticks
+  const bars = [];
+  for (let h = 24; h >= 1; h--) {
+    const open = priceAt(h);
+    const close = priceAt(h - 1);
+    bars.push({
+      t: nowHour - h * HOUR_MS,
+      open,
+      high: Math.max(open, close),
+      low: Math.min(open, close),
+      close,
+      volume: hourlyVolume(h),
+      ticks: 0,
+      volSum: 0,
+      volCount: 0,
+      backfilled: true
+    });
+  }
+  all['1h'].push(...bars.slice(-maxBars('1h')));
+  return bars.length;
+}
+
+/**
+ * Bars for a mint, oldest first
+ * @param {string} mint - Token mint
+ * @param {string} tf - '1m' | '5m' | '15m' | '1h'
+ * @param {object} [opts] - { limit: last N bars, closedOnly: drop the bar still forming }
+ * @returns {Array<{ t, open, high, low, close, volume }>}
+ */
+function getCandles(mint, tf = '5m', opts = {}) {
+  if (!TIMEFRAMES[tf]) throw new Error(`Unknown timeframe: ${tf}`);
+  let bars = series.get(mint)?.[tf] || [];
+
+  if (opts.closedOnly && bars.length > 0) {
+    const currentStart = Math.floor(now() / TIMEFRAMES[tf]) * TIMEFRAMES[tf];
+    if (bars[bars.length - 1].t >= currentStart) bars = bars.slice(0, -1);
+  }
+  if (opts.limit) bars = bars.slice(-opts.limit);
+  return bars;
+}
+
+/**
+ * Plain-object copy of bars for snapshotting, without the per-bar accumulators
+ * @param {object} [opts] - { timeframes: timeframes to keep (default all), maxMints: most recently ticked mints to keep }
+ * @returns {object} { [mint]: { [tf]: bars[] } }
+ */
+function exportCandles(opts = {}) {
+  const timeframes = opts.timeframes || Object.keys(TIMEFRAMES);
+  const latest = (all) => Math.max(0, ...Object.values(all).map(bars => bars[bars.length - 1]?.t || 0));
+  const mints = [...series.entries()]
+    .sort((a, b) => latest(b[1]) - latest(a[1]))
+    .slice(0, opts.maxMints || Infinity);
+
+  return Object.fromEntries(mints.map(([mint, all]) => [
+    mint,
+    Object.fromEntries(timeframes.filter(tf => all[tf]?.length).map(tf => [
+      tf,
+      all[tf].map(({ ticks, volSum, volCount, ...bar }) => bar)
+    ]))
+  ]));
+}
+
+/**
+ * Load bars from a snapshot, dropping timeframes whose last bar is too old to continue
+ * @param {object} data - exportCandles() output
+ * @returns {{ mints: number, dropped: number }} Mints loaded, stale timeframe series dropped
+ */
+function importCandles(data) {
+  const t = now();
+  let dropped = 0;
+  for (const [mint, byTf] of Object.entries(data || {})) {
+    const all = barsFor(mint);
+    for (const tf of Object.keys(TIMEFRAMES)) {
+      const bars = Array.isArray(byTf[tf]) ? byTf[tf] : [];
+      if (bars.length === 0) continue;
+      const currentStart = Math.floor(t / TIMEFRAMES[tf]) * TIMEFRAMES[tf];
+      if (isGap(bars[bars.length - 1].t, currentStart, tf)) {
+        all[tf] = [];
+        dropped++;
+        continue;
+      }
+      // Snapshots carry no accumulators: resume the volume average from the bar's volume
+      all[tf] = bars.slice(-maxBars(tf)).map(bar => ({
+        ticks: 0,
+        volSum: bar.volume > 0 ? bar.volume * HOUR_MS / TIMEFRAMES[tf] : 0,
+        volCount: bar.volume > 0 ? 1 : 0,
+        ...bar
+      }));
+    }
+  }
+  return { mints: Object.keys(data || {}).length, dropped };
+}
+
+/**
+ * Forget mints with no tick for maxAgeMs (tokens that left the scanner)
+ * @returns {number} Mints removed
+ */
+function pruneCandles(maxAgeMs = 24 * HOUR_MS) {
+  const cutoff = now() - maxAgeMs;
+  let removed = 0;
+  for (const [mint, all] of series) {
+    const latest = Math.max(0, ...Object.values(all).map(bars => bars[bars.length - 1]?.t || 0));
+    if (latest < cutoff) {
+      series.delete(mint);
+      removed++;
+    }
+  }
+  return removed;
+}
+
+/**
+ * Number of mints with candle data
+ */
+function getCandleMintCount() {
+  return series.size;
+}
+
+module.exports = { TIMEFRAMES, maxBars, addTick, backfill, getCandles, exportCandles, importCandles, pruneCandles, getCandleMintCount };
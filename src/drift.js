@@ -10,6 +10,7 @@ const { DriftClient, initialize, PositionDirection, OrderType, MarketType, BN, B
 const bs58 = require('bs58');
 const config = require('../config.json');
 const { writeAlert } = require('./alerts');
+const { isDryRun, simulate } = require('./executor');
 
 let driftClient = null;
 let initialized = false;
@@ -49,6 +50,20 @@ const PERP_MARKETS = {
   'TNSR-PERP': 28,
 };
 
+// Spot mints used to price perp markets in dry-run mode
+const PERP_PRICE_MINTS = {
+  'SOL-PERP': 'So11111111111111111111111111111111111111112',
+  'JUP-PERP': 'JUPyiwrYJFskUPiHa7hkeR8VUtAeFoSYbKedZNsDvCN',
+  'PYTH-PERP': 'HZ1JovNiVvGrGNiiYvEozEVgZ58xaU3RKwX8eACQBCt3',
+  'RENDER-PERP': 'rndrizKT3MK1iimdxRdWabcF7Zg7AR5T4nud4EkHBof',
+  'HNT-PERP': 'hntyVP6YFm1Hg25TN9WGLqM12b8TQmcknKrdu1oxWux',
+  'W-PERP': '85VBFQZC9TZkfaptBWjvUw7YbZjy52A6mjtPGjstQAmQ',
+  'TNSR-PERP': 'TNSRxcUxoT9xBG3de7PiJyTDYu7kskLqcpddxnEJAS6',
+  'KMNO-PERP': 'KMNo3nJsBXfcpJTVhZcXLW7RmTwTt4GVFE7suUBo9sS',
+  'WIF-PERP': 'EKpQGSJtjMFqKZ9KQanSqYXRcF8fBopzLHYxdM65zcjm',
+  'JTO-PERP': 'jtojtomepa8beP8AuQc6eXt5FriJwfFMwQx2v2f9mCL',
+};
+
 /**
  * Initialize DriftClient with wallet from environment
  */
@@ -105,6 +120,21 @@ function getMarketIndex(market) {
   return idx;
 }
 
+/**
+ * Oracle price Drift uses for a perp market (null until the client is subscribed)
+ * @param {string} market - Market name e.g. 'SOL-PERP'
+ * @returns {{ price: number, confidence: number } | null}
+ */
+function getOraclePrice(market) {
+  if (!driftClient || PERP_MARKETS[market] === undefined) return null;
+  const oracleData = driftClient.getOracleDataForPerpMarket(PERP_MARKETS[market]);
+  if (!oracleData) return null;
+  return {
+    price: convertToNumber(oracleData.price, PRICE_PRECISION),
+    confidence: convertToNumber(oracleData.confidence, PRICE_PRECISION)
+  };
+}
+
 /**
  * Open a short position on Drift
  * @param {string} market - Market name e.g. 'SOL-PERP'
@@ -119,34 +149,18 @@ async function openShort(market, sizeUsdc, leverage) {
   try {
     const marketIndex = getMarketIndex(market);
 
-    // DRY-RUN mode — fetch real market price for realistic simulation
-    if (config.mode !== 'live' || !driftClient) {
-      let simulatedPrice = 1;
-      try {
-        // Map market name to a real token for price lookup
-        const priceToken = market === 'SOL-PERP' ? 'So11111111111111111111111111111111111111112' : null;
-        if (priceToken) {
-          const res = await fetch(`https://api.dexscreener.com/latest/dex/tokens/${priceToken}`);
-          const data = await res.json();
-          const pair = data?.pairs?.find(p => p.quoteToken?.symbol === 'USDC' || p.quoteToken?.symbol === 'USDT');
-          if (pair) simulatedPrice = parseFloat(pair.priceUsd) || simulatedPrice;
-        }
-      } catch (e) {
-        console.log(`[DRIFT] Price fetch failed for ${market}, using fallback`);
-      }
-      const baseAmount = sizeUsdc / simulatedPrice;
-
-      console.log(`[DRIFT] DRY-RUN SHORT: ${market} | Size: $${sizeUsdc.toFixed(2)} | Leverage: ${leverage}x | Entry: $${simulatedPrice.toFixed(2)}`);
+    // DRY-RUN mode — fill on the paper venue at the spot price of the underlying
+    if (isDryRun() || !driftClient) {
+      const result = await simulate('openShort', market, sizeUsdc, leverage, PERP_PRICE_MINTS[market]);
+      if (!result.success) throw new Error(result.error);
+
+      console.log(`[DRIFT] DRY-RUN SHORT: ${market} | Size: $${sizeUsdc.toFixed(2)} | Leverage: ${leverage}x | Entry: $${result.entryPrice.toFixed(2)}`);
       return {
-        success: true,
+        ...result,
         positionId: `drift-short-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`,
         market,
         size: sizeUsdc,
-        leverage,
-        entryPrice: simulatedPrice,
-        baseAmount,
-        simulated: true,
-        txId: `dry-run-drift-${Date.now()}`
+        leverage
       };
     }
 
@@ -190,20 +204,18 @@ async function openShort(market, sizeUsdc, leverage) {
  * Close a short position on Drift
  * @param {string} market - Market name
  * @param {number} baseAmount - Base asset amount to close
- * @returns {object} { success, txId, simulated }
+ * @returns {object} { success, txId, simulated, exitPrice?, usdcReceived? } (fill details in dry-run only)
  */
 async function closeShort(market, baseAmount) {
   try {
     const marketIndex = getMarketIndex(market);
 
     // DRY-RUN
-    if (config.mode !== 'live' || !driftClient) {
-      console.log(`[DRIFT] DRY-RUN CLOSE SHORT: ${market}`);
-      return {
-        success: true,
-        txId: `dry-run-drift-close-${Date.now()}`,
-        simulated: true
-      };
+    if (isDryRun() || !driftClient) {
+      const result = await simulate('closeShort', market, baseAmount, PERP_PRICE_MINTS[market]);
+      if (!result.success) throw new Error(result.error);
+      console.log(`[DRIFT] DRY-RUN CLOSE SHORT: ${market} @ $${result.exitPrice.toFixed(2)}`);
+      return result;
     }
 
     // LIVE: close by placing opposite (long) market order
@@ -259,10 +271,11 @@ async function getShortPositions() {
  */
 function getShortPnl(shortPos, currentPrice) {
   // Short PnL: profit when price goes down
+  // Size off the remaining cost basis so partially closed shorts aren't overstated
   const priceDiff = shortPos.entryPrice - currentPrice;
-  const pnl = (priceDiff / shortPos.entryPrice) * shortPos.usdcSpent;
+  const pnl = (priceDiff / shortPos.entryPrice) * (shortPos.costBasis ?? shortPos.usdcSpent);
   const pnlPercent = (priceDiff / shortPos.entryPrice) * 100;
   return { pnl, pnlPercent };
 }
 
-module.exports = { initDrift, openShort, closeShort, getShortPositions, getShortPnl, getMarketIndex, PERP_MARKETS };
+module.exports = { initDrift, openShort, closeShort, getShortPositions, getShortPnl, getMarketIndex, getOraclePrice, PERP_MARKETS, PERP_PRICE_MINTS };
@@ -1,11 +1,15 @@
 /**
- * Trade executor - Jupiter swap execution (real + dry-run)
+ * Trade executor - Jupiter swap execution (live) or paper venue fills (dry-run)
  */
-const { Connection, Keypair, VersionedTransaction } = require('@solana/web3.js');
+const { Connection, Keypair, PublicKey, VersionedTransaction } = require('@solana/web3.js');
 const bs58 = require('bs58');
 const config = require('../config.json');
 const { safeFetch } = require('./utils');
 const { writeAlert } = require('./alerts');
+const { getState, saveState, deductCapital } = require('./state');
+const { getTokenPrice } = require('./scanner');
+const { createPaperVenue } = require('./paper');
+const { vetToken } = require('./vetting');
 
 const JUPITER = config.apis.jupiter;
 const USDC_MINT = config.mints.USDC;
@@ -13,6 +17,8 @@ const USDC_DECIMALS = 6;
 
 let connection = null;
 let keypair = null;
+let venue = null; // simulated venue used whenever we're not trading live
+const decimalsCache = new Map();
 
 /** Initialize connection and wallet */
 function initExecutor() {
@@ -34,6 +40,97 @@ function initExecutor() {
   }
 }
 
+/**
+ * Token decimals from the mint account (cached; assumes 9 if RPC is unavailable)
+ */
+async function getMintDecimals(mint) {
+  if (mint === USDC_MINT) return USDC_DECIMALS;
+  if (decimalsCache.has(mint)) return decimalsCache.get(mint);
+  try {
+    const supply = await connection.getTokenSupply(new PublicKey(mint));
+    decimalsCache.set(mint, supply.value.decimals);
+    return supply.value.decimals;
+  } catch (err) {
+    console.error(`[EXECUTOR] Decimals lookup failed for ${mint}: ${err.message}`);
+    return 9;
+  }
+}
+
+/**
+ * Paper balances persisted in state.json. Seeded from the current state on
+ * first use so positions opened before the venue existed can still be sold.
+ */
+function getPaperBook() {
+  const state = getState();
+  if (!state.paper) {
+    const gridConfig = config.grid || {};
+    const gridBuys = Object.values(state.grid?.tokens || {}).flatMap(t => t.filledBuys || []);
+    const book = {
+      usdc: state.capitalUsdc,
+      tokens: {},
+      shorts: {},
+      feesPaid: 0,
+      seededAt: new Date().toISOString()
+    };
+
+    if (gridConfig.enabled) {
+      book.usdc += (gridConfig.maxCapital || 30) - gridBuys.reduce((sum, b) => sum + b.usdcSpent, 0);
+    }
+    for (const pos of state.positions.filter(p => p.simulated)) {
+      if (pos.strategy === 'driftShort') {
+        book.shorts[pos.market] = { baseAmount: pos.baseAmount, collateral: pos.usdcSpent, entryPrice: pos.entryPrice };
+      } else {
+        book.tokens[pos.mint] = (book.tokens[pos.mint] || 0) + Number(pos.amount);
+      }
+    }
+    for (const [mint, tokenGrid] of Object.entries(state.grid?.tokens || {})) {
+      for (const buy of tokenGrid.filledBuys || []) {
+        book.tokens[mint] = (book.tokens[mint] || 0) + Number(buy.amount);
+      }
+    }
+
+    state.paper = book;
+    saveState();
+  }
+  return state.paper;
+}
+
+/**
+ * Venue that fills dry-run trades (created on first use)
+ */
+function getVenue() {
+  if (!venue) {
+    venue = createPaperVenue({
+      getPrice: getTokenPrice,
+      getDecimals: getMintDecimals,
+      book: getPaperBook(),
+      save: saveState
+    });
+  }
+  return venue;
+}
+
+/**
+ * Swap in a different simulated venue (e.g. a mock in tests)
+ */
+function setVenue(v) {
+  venue = v;
+}
+
+/** True when trades should be simulated instead of sent on-chain */
+function isDryRun() {
+  return config.mode !== 'live' || !keypair;
+}
+
+/**
+ * Run a trade on the paper venue, charging fees of failed txs to capital
+ */
+async function simulate(action, ...args) {
+  const result = await getVenue()[action](...args);
+  if (!result.success && result.feeUsdc) deductCapital(result.feeUsdc);
+  return result;
+}
+
 /**
  * Get a Jupiter quote for swapping USDC -> token
  * @param {string} outputMint - Token mint to buy
@@ -62,29 +159,34 @@ async function getSellQuote(inputMint, amount) {
  * @param {string} outputMint - Token to buy
  * @param {number} amountUsdc - USDC to spend
  * @param {string} tokenSymbol - For logging
- * @returns {object} { success, txId, outputAmount, price }
+ * @returns {object} { success, txId, outputAmount, price } ({ success: false, blocked: true } if vetting fails)
  */
 async function executeBuy(outputMint, amountUsdc, tokenSymbol) {
   try {
+    // On-chain safety checks (src/vetting.js), dry-run included
+    const vetting = await vetToken(outputMint);
+    if (!vetting.passed) {
+      const reason = vetting.reasons.join('; ');
+      if (vetting.cached) console.log(`[EXECUTOR] Buy blocked for ${tokenSymbol}: ${reason}`);
+      else writeAlert('TOKEN_BLOCKED', `Buy blocked for ${tokenSymbol}: ${reason}`, { mint: outputMint, reasons: vetting.reasons, facts: vetting.facts });
+      return { success: false, blocked: true, error: `Token failed vetting: ${reason}` };
+    }
+
+    // DRY-RUN: fill on the paper venue
+    if (isDryRun()) {
+      const result = await simulate('buy', outputMint, amountUsdc, tokenSymbol);
+      if (!result.success) throw new Error(result.error);
+      console.log(`[EXECUTOR] DRY-RUN BUY: ${amountUsdc} USDC -> ${tokenSymbol} @ ~$${result.price.toFixed(6)}`);
+      return result;
+    }
+
     const quote = await getQuote(outputMint, amountUsdc);
     if (!quote || !quote.outAmount) {
       throw new Error('No quote available');
     }
 
     const outputAmount = quote.outAmount;
-    const price = amountUsdc / (parseInt(outputAmount) / 10 ** (quote.outputDecimals || 9));
-
-    // DRY-RUN: simulate the trade
-    if (config.mode !== 'live' || !keypair) {
-      console.log(`[EXECUTOR] DRY-RUN BUY: ${amountUsdc} USDC -> ${tokenSymbol} @ ~$${price.toFixed(6)}`);
-      return {
-        success: true,
-        txId: `dry-run-${Date.now()}`,
-        outputAmount,
-        price,
-        simulated: true
-      };
-    }
+    const price = amountUsdc / (parseInt(outputAmount) / 10 ** (await getMintDecimals(outputMint)));
 
     // LIVE: execute the swap
     const swapBody = {
@@ -127,8 +229,8 @@ async function executeBuy(outputMint, amountUsdc, tokenSymbol) {
     return { success: true, txId, outputAmount, price, simulated: false };
 
   } catch (err) {
-    writeAlert('ERROR', `Buy failed for ${tokenSymbol}: ${err.message}`);
-    return { success: false, error: err.message };
+    writeAlert('ERROR', `Buy failed for ${tokenSymbol}: ${err.message}`, { errorType: err.name });
+    return { success: false, error: err.message, errorType: err.name };
   }
 }
 
@@ -141,6 +243,14 @@ async function executeBuy(outputMint, amountUsdc, tokenSymbol) {
  */
 async function executeSell(inputMint, amount, tokenSymbol) {
   try {
+    // DRY-RUN: fill on the paper venue
+    if (isDryRun()) {
+      const result = await simulate('sell', inputMint, amount, tokenSymbol);
+      if (!result.success) throw new Error(result.error);
+      console.log(`[EXECUTOR] DRY-RUN SELL: ${tokenSymbol} -> ${result.usdcReceived.toFixed(2)} USDC`);
+      return result;
+    }
+
     const quote = await getSellQuote(inputMint, amount);
     if (!quote || !quote.outAmount) {
       throw new Error('No sell quote available');
@@ -148,12 +258,6 @@ async function executeSell(inputMint, amount, tokenSymbol) {
 
     const usdcReceived = parseInt(quote.outAmount) / 10 ** USDC_DECIMALS;
 
-    // DRY-RUN
-    if (config.mode !== 'live' || !keypair) {
-      console.log(`[EXECUTOR] DRY-RUN SELL: ${tokenSymbol} -> ${usdcReceived.toFixed(2)} USDC`);
-      return { success: true, txId: `dry-run-${Date.now()}`, usdcReceived, simulated: true };
-    }
-
     // LIVE
     const swapBody = {
       quoteResponse: quote,
@@ -188,9 +292,9 @@ async function executeSell(inputMint, amount, tokenSymbol) {
     return { success: true, txId, usdcReceived, simulated: false };
 
   } catch (err) {
-    writeAlert('ERROR', `Sell failed for ${tokenSymbol}: ${err.message}`);
-    return { success: false, error: err.message };
+    writeAlert('ERROR', `Sell failed for ${tokenSymbol}: ${err.message}`, { errorType: err.name });
+    return { success: false, error: err.message, errorType: err.name };
   }
 }
 
-module.exports = { initExecutor, executeBuy, executeSell, getQuote, getSellQuote };
+module.exports = { initExecutor, executeBuy, executeSell, getQuote, getSellQuote, getVenue, setVenue, isDryRun, simulate };
@@ -0,0 +1,169 @@
+/**
+ * Exposure limits - caps concentration across tokens, sectors and SOL beta
+ *
+ * Checked after sizing, before a new entry:
+ *   - per-token cap (% of equity)
+ *   - per-sector cap, using the sector tags in watchlist.json
+ *   - correlation of the candidate's returns with each open long
+ *   - net SOL beta: beta-weighted spot longs minus Drift short notional
+ * Exposure is measured at cost basis (shorts at notional). Returns and betas
+ * come from the in-memory price history, resampled to a common grid.
+ */
+const config = require('../config.json');
+const { getState, remainingCost } = require('./state');
+const { getPriceSeries } = require('./history');
+const { getSector } = require('./watchlist');
+const { returns, correlation: pearson, beta: regressionBeta } = require('./indicators');
+
+const MIN_SIZE = 5;                     // smallest trade worth opening
+const RESAMPLE_MS = 5 * 60 * 1000;      // align price histories on 5-minute buckets
+
+function exposureConfig() {
+  return config.risk.exposure || {};
+}
+
+/** Equity to measure caps against: last mark-to-market, else free capital + cost basis */
+function exposureEquity() {
+  const state = getState();
+  if (state.equity?.value) return state.equity.value;
+  return state.positions.reduce((sum, p) => sum + remainingCost(p), state.capitalUsdc);
+}
+
+/** Last price per RESAMPLE_MS bucket: Map<bucket, price> */
+function resample(mint) {
+  const buckets = new Map();
+  for (const { price, ts } of getPriceSeries(mint)) buckets.set(Math.floor(ts / RESAMPLE_MS), price);
+  return buckets;
+}
+
+/**
+ * Paired simple returns of two tokens over the buckets both have prices for
+ * @returns {{ a: number[], b: number[] }}
+ */
+function pairedReturns(mintA, mintB) {
+  const seriesA = resample(mintA);
+  const seriesB = resample(mintB);
+  const common = [...seriesA.keys()].filter(k => seriesB.has(k)).sort((x, y) => x - y);
+
+  return {
+    a: returns(common.map(k => seriesA.get(k))),
+    b: returns(common.map(k => seriesB.get(k)))
+  };
+}
+
+/**
+ * Pearson correlation of two tokens' returns, null without enough overlap
+ */
+function correlation(mintA, mintB) {
+  const { a, b } = pairedReturns(mintA, mintB);
+  if (a.length < (exposureConfig().minDataPoints || 30)) return null;
+  return pearson(a, b);
+}
+
+/**
+ * Beta of a token's returns against SOL (1 for SOL itself or without enough data)
+ */
+function solBeta(mint) {
+  const sol = config.mints.SOL;
+  if (mint === sol) return 1;
+
+  const fallback = exposureConfig().defaultBeta ?? 1;
+  const { a, b } = pairedReturns(mint, sol);
+  if (a.length < (exposureConfig().minDataPoints || 30)) return fallback;
+  return regressionBeta(a, b) ?? fallback;
+}
+
+/**
+ * Current book broken down by token, sector and SOL beta
+ * @returns {{ equity: number, byToken: object, bySector: object, netSolBeta: number, longs: object[] }}
+ */
+function getExposure() {
+  const state = getState();
+  const byToken = {};
+  const bySector = {};
+  const longs = [];
+  let netSolBeta = 0;
+
+  for (const pos of state.positions) {
+    if (pos.strategy === 'driftShort') {
+      const notional = remainingCost(pos) * (pos.leverage || 1);
+      netSolBeta -= notional * solBeta(pos.priceMint || config.mints.SOL);
+      continue;
+    }
+
+    const cost = remainingCost(pos);
+    const sector = getSector(pos.mint);
+    byToken[pos.mint] = (byToken[pos.mint] || 0) + cost;
+    bySector[sector] = (bySector[sector] || 0) + cost;
+    netSolBeta += cost * solBeta(pos.mint);
+    longs.push(pos);
+  }
+
+  return { equity: exposureEquity(), byToken, bySector, netSolBeta, longs };
+}
+
+/**
+ * Check a planned entry against the exposure limits, trimming size to fit the caps
+ * @param {object} trade - { mint, token, size, side: 'long'|'short', priceMint?, leverage? }
+ * @returns {{ allowed: boolean, size: number, reason?: string }}
+ */
+function checkExposure(trade) {
+  const cfg = exposureConfig();
+  if (!cfg.enabled) return { allowed: true, size: trade.size };
+
+  const exp = getExposure();
+  const equity = exp.equity;
+  let size = trade.size;
+  const reject = (reason) => ({ allowed: false, size: 0, reason });
+
+  if (trade.side === 'short') {
+    // Shorts only count against the beta cap (a short that reduces net long beta always fits)
+    if (cfg.maxNetSolBetaPercent) {
+      const beta = solBeta(trade.priceMint || config.mints.SOL);
+      const cap = equity * cfg.maxNetSolBetaPercent / 100;
+      const after = exp.netSolBeta - size * (trade.leverage || 1) * beta;
+      if (after < -cap) {
+        size = Math.max(0, (exp.netSolBeta + cap) / ((trade.leverage || 1) * beta));
+        if (size < MIN_SIZE) return reject(`Net SOL beta $${exp.netSolBeta.toFixed(2)} at short cap -$${cap.toFixed(2)}`);
+      }
+    }
+    return { allowed: true, size };
+  }
+
+  if (cfg.maxTokenPercent) {
+    const headroom = equity * cfg.maxTokenPercent / 100 - (exp.byToken[trade.mint] || 0);
+    size = Math.min(size, headroom);
+    if (size < MIN_SIZE) return reject(`${trade.token} at token cap ${cfg.maxTokenPercent}% of equity`);
+  }
+
+  const sector = getSector(trade.mint);
+  const sectorCap = cfg.sectorLimits?.[sector] ?? cfg.maxSectorPercent;
+  if (sectorCap) {
+    const headroom = equity * sectorCap / 100 - (exp.bySector[sector] || 0);
+    size = Math.min(size, headroom);
+    if (size < MIN_SIZE) return reject(`Sector ${sector} at cap ${sectorCap}% of equity ($${(exp.bySector[sector] || 0).toFixed(2)} held)`);
+  }
+
+  if (cfg.maxCorrelation) {
+    for (const pos of exp.longs) {
+      if (pos.mint === trade.mint) continue;
+      const rho = correlation(trade.mint, pos.mint);
+      if (rho !== null && rho > cfg.maxCorrelation) {
+        return reject(`${trade.token} correlated ${rho.toFixed(2)} with held ${pos.token} (max ${cfg.maxCorrelation})`);
+      }
+    }
+  }
+
+  if (cfg.maxNetSolBetaPercent) {
+    const beta = solBeta(trade.mint);
+    const cap = equity * cfg.maxNetSolBetaPercent / 100;
+    if (beta > 0 && exp.netSolBeta + size * beta > cap) {
+      size = Math.min(size, (cap - exp.netSolBeta) / beta);
+      if (size < MIN_SIZE) return reject(`Net SOL beta $${exp.netSolBeta.toFixed(2)} at cap $${cap.toFixed(2)} (${trade.token} beta ${beta.toFixed(2)})`);
+    }
+  }
+
+  return { allowed: true, size };
+}
+
+module.exports = { checkExposure, getExposure, correlation, solBeta };
@@ -0,0 +1,317 @@
+/**
+ * Scan funnel - where each scan cycle's tokens came from and why they were dropped
+ *
+ * scanTokens() fills one funnel per cycle: Solana addresses per source
+ * (profiles, boosts, coingecko, search, watchlist), addresses sent to the pairs
+ * endpoint, pairs fetched, and every filter rejection by reason with the
+ * offending value. Each reason keeps min/median/max of its values and the
+ * closest misses as samples.
+ *
+ * Every cycle writes a SCAN_FUNNEL alert with the counts (a few hundred bytes,
+ * so alerts.log still holds days of them) and the full summary, samples
+ * included, to the funnel log (config.funnel.file, funnel.log in the repo by
+ * default). The funnel log rotates at maxFileMb and keeps maxBackups files,
+ * sized to hold a few days of cycles; the report reads it.
+ *
+ * Report over the logged cycles:
+ *   node src/funnel.js [--hours 24] [--file funnel.log]
+ */
+const fs = require('fs');
+const path = require('path');
+const config = require('../config.json');
+const { writeAlert } = require('./alerts');
+const { median } = require('./oracle');
+const { now } = require('./utils');
+
+const SAMPLES_PER_REASON = 5;
+const ROTATE_CHECK_MS = 60 * 1000;
+
+const DEFAULTS = {
+  file: path.join(__dirname, '..', 'funnel.log'),
+  maxFileMb: 10,   // rotate the log past this size
+  maxBackups: 4    // rotated files kept (funnel.log.1 is the newest)
+};
+
+let lastRotateCheck = 0;
+
+function settings() {
+  return { ...DEFAULTS, ...config.funnel };
+}
+
+/**
+ * Empty funnel for one scan cycle
+ */
+function createFunnel() {
+  return {
+    sources: {},        // source -> Solana addresses it returned
+    discovered: 0,      // unique addresses across sources
+    requested: 0,       // addresses sent to the pairs endpoint
+    skipped: 0,         // trending addresses over the cap (or all of them in allowlist-only mode)
+    pairsFetched: 0,
+    tokensPriced: 0,    // tokens with at least one pair
+    evaluated: 0,       // tokens run through the filters
+    passed: 0,
+    rescued: 0,         // rejected on their first pair, admitted on a later search pair
+    candidates: 0,
+    rejected: {},       // reason -> { limit, values[], samples[] }
+    failures: []
+  };
+}
+
+/**
+ * Count the addresses a source contributed
+ */
+function addSource(funnel, source, count) {
+  funnel.sources[source] = (funnel.sources[source] || 0) + count;
+}
+
+/**
+ * Note a filter result for a token; a token failing several filters counts under each reason
+ * @param {object} funnel
+ * @param {{ token: string, mint: string }} token
+ * @param {Array<{ reason: string, value: *, limit?: number }>} rejections - Empty when the token passed
+ */
+function recordFilter(funnel, { token, mint }, rejections) {
+  funnel.evaluated++;
+  if (rejections.length === 0) {
+    funnel.passed++;
+    return;
+  }
+  for (const { reason, value, limit } of rejections) {
+    const entry = funnel.rejected[reason] || (funnel.rejected[reason] = { limit, values: [], samples: [] });
+    entry.values.push(value);
+    entry.samples.push({ token, mint, value });
+  }
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Plain summary of a funnel (what a funnel log line carries)
+ */
+function summarizeFunnel(funnel) {
+  const rejected = {};
+  for (const [reason, entry] of Object.entries(funnel.rejected)) {
+    const numeric = entry.values.every(v => typeof v === 'number');
+    // Closest misses first: the highest values under a minimum
+    const samples = numeric ? [...entry.samples].sort((a, b) => b.value - a.value) : entry.samples;
+    rejected[reason] = {
+      count: entry.values.length,
+      ...(entry.limit !== undefined && { limit: entry.limit }),
+      ...(numeric && {
+        min: round(Math.min(...entry.values)),
+        median: round(median(entry.values)),
+        max: round(Math.max(...entry.values))
+      }),
+      samples: samples.slice(0, SAMPLES_PER_REASON).map(s => ({ ...s, value: numeric ? round(s.value) : s.value }))
+    };
+  }
+  const { rejected: _r, ...counts } = funnel;
+  return { ...counts, rejected };
+}
+
+/**
+ * One-line funnel for logs
+ */
+function formatFunnel(summary) {
+  const sources = Object.entries(summary.sources).map(([s, n]) => `${s} ${n}`).join(', ');
+  const rejected = Object.entries(summary.rejected)
+    .sort((a, b) => b[1].count - a[1].count)
+    .map(([reason, r]) => `${reason} ${r.count}`)
+    .join(', ');
+  return `${summary.discovered} discovered (${sources}) → ${summary.requested} requested → ${summary.pairsFetched} pairs → ` +
+    `${summary.evaluated} evaluated → ${summary.candidates} candidates${summary.rescued ? ` (${summary.rescued} on a second pair)` : ''}${rejected ? ` | rejected: ${rejected}` : ''}`;
+}
+
+/**
+ * The funnel log and its backups, oldest first
+ */
+function funnelFiles() {
+  const { file, maxBackups } = settings();
+  const backups = Array.from({ length: maxBackups }, (_, i) => `${file}.${maxBackups - i}`);
+  return [...backups, file];
+}
+
+/**
+ * Shift funnel.log -> .1 -> .2 ... once it passes maxFileMb (checked at most once a minute)
+ */
+function rotateIfNeeded() {
+  if (now() - lastRotateCheck < ROTATE_CHECK_MS) return;
+  lastRotateCheck = now();
+  const { file, maxFileMb, maxBackups } = settings();
+  try {
+    if (fs.statSync(file).size < maxFileMb * 1024 * 1024) return;
+    for (let i = maxBackups - 1; i >= 1; i--) {
+      if (fs.existsSync(`${file}.${i}`)) fs.renameSync(`${file}.${i}`, `${file}.${i + 1}`);
+    }
+    if (maxBackups > 0) fs.renameSync(file, `${file}.1`);
+    else fs.unlinkSync(file);
+  } catch (_) {
+    // no log yet
+  }
+}
+
+/**
+ * Counts-only view of a summary for the SCAN_FUNNEL alert
+ */
+function alertData(summary) {
+  const { rejected, failures, ...counts } = summary;
+  return {
+    ...counts,
+    rejected: Object.fromEntries(Object.entries(rejected).map(([reason, r]) => [reason, r.count])),
+    failures: failures.map(f => f.source)
+  };
+}
+
+/**
+ * Log the cycle's funnel: a SCAN_FUNNEL alert with the counts, the full summary to the funnel log
+ * @returns {object} The summary
+ */
+function reportFunnel(funnel) {
+  const summary = summarizeFunnel(funnel);
+  writeAlert('SCAN_FUNNEL', `Scan funnel: ${formatFunnel(summary)}`, alertData(summary));
+  try {
+    rotateIfNeeded();
+    fs.appendFileSync(settings().file, JSON.stringify({ ts: now(), funnel: summary }) + '\n');
+  } catch (err) {
+    console.log(`[FUNNEL] Failed to write ${settings().file}: ${err.message}`);
+  }
+  return summary;
+}
+
+/**
+ * Funnels from funnel log files, oldest first
+ * @param {string[]} files - Funnel logs (missing files are skipped)
+ * @param {number} [sinceMs] - Only cycles at or after this time
+ * @returns {Array<{ ts: number, funnel: object }>}
+ */
+function loadFunnels(files, sinceMs = 0) {
+  const funnels = [];
+  for (const file of files) {
+    if (!fs.existsSync(file)) continue;
+    for (const line of fs.readFileSync(file, 'utf-8').split('\n')) {
+      if (!line) continue;
+      try {
+        const entry = JSON.parse(line);
+        if (entry.ts >= sinceMs && entry.funnel) funnels.push(entry);
+      } catch (_) {
+        // partial line from a crash mid-write; skip
+      }
+    }
+  }
+  return funnels.sort((a, b) => a.ts - b.ts);
+}
+
+/**
+ * Totals over many cycles
+ * @param {Array<{ ts: number, funnel: object }>} funnels - loadFunnels output
+ * @returns {object} { cycles, from, to, zeroCandidateCycles, averages, sources, rejected, failures }
+ */
+function aggregateFunnels(funnels) {
+  const cycles = funnels.length;
+  const sum = (key) => funnels.reduce((s, f) => s + (f.funnel[key] || 0), 0);
+  const avg = (total) => cycles ? round(total / cycles) : 0;
+
+  const sources = {};
+  const rejected = {};
+  const failures = {};
+  for (const { funnel } of funnels) {
+    for (const [source, n] of Object.entries(funnel.sources || {})) sources[source] = (sources[source] || 0) + n;
+    for (const f of funnel.failures || []) {
+      const key = `${f.source} ${f.error}`;
+      failures[key] = (failures[key] || 0) + 1;
+    }
+    for (const [reason, r] of Object.entries(funnel.rejected || {})) {
+      const entry = rejected[reason] || (rejected[reason] = { count: 0, medians: [], min: null, max: null, tokens: {} });
+      entry.count += r.count;
+      entry.limit = r.limit;
+      if (r.median !== undefined) {
+        entry.medians.push(r.median);
+        entry.min = entry.min === null ? r.min : Math.min(entry.min, r.min);
+        entry.max = entry.max === null ? r.max : Math.max(entry.max, r.max);
+      }
+      for (const s of r.samples || []) entry.tokens[s.token] = (entry.tokens[s.token] || 0) + 1;
+    }
+  }
+
+  const evaluated = sum('evaluated');
+  for (const entry of Object.values(rejected)) {
+    entry.perCycle = avg(entry.count);
+    entry.percentOfEvaluated = evaluated ? round(entry.count / evaluated * 100) : 0;
+    entry.typicalMedian = entry.medians.length ? round(median(entry.medians)) : null;
+    entry.topTokens = Object.entries(entry.tokens).sort((a, b) => b[1] - a[1]).slice(0, SAMPLES_PER_REASON).map(([token]) => token);
+    delete entry.medians;
+    delete entry.tokens;
+  }
+  for (const source of Object.keys(sources)) sources[source] = avg(sources[source]);
+
+  return {
+    cycles,
+    from: cycles ? new Date(funnels[0].ts).toISOString() : null,
+    to: cycles ? new Date(funnels[cycles - 1].ts).toISOString() : null,
+    zeroCandidateCycles: funnels.filter(f => !f.funnel.candidates).length,
+    averages: {
+      discovered: avg(sum('discovered')),
+      requested: avg(sum('requested')),
+      pairsFetched: avg(sum('pairsFetched')),
+      evaluated: avg(evaluated),
+      rescued: avg(sum('rescued')),
+      candidates: avg(sum('candidates'))
+    },
+    sources,
+    rejected,
+    failures
+  };
+}
+
+function printReport(report) {
+  console.log('='.repeat(60));
+  console.log('  Scan Funnel Report');
+  console.log('='.repeat(60));
+  if (report.cycles === 0) {
+    console.log('  No funnel entries in range');
+    console.log('='.repeat(60));
+    return;
+  }
+
+  const a = report.averages;
+  console.log(`  ${report.cycles} cycles, ${report.from.slice(0, 16)} → ${report.to.slice(0, 16)} | ${report.zeroCandidateCycles} with no candidates`);
+  if (report.truncated) console.log(`  Log starts ${report.from.slice(0, 16)}, after the requested window: raise funnel.maxFileMb or funnel.maxBackups`);
+  console.log(`  Per cycle: ${a.discovered} discovered → ${a.requested} requested → ${a.pairsFetched} pairs → ${a.evaluated} evaluated → ${a.candidates} candidates (${a.rescued} on a second pair)`);
+  console.log(`  Sources per cycle: ${Object.entries(report.sources).map(([s, n]) => `${s} ${n}`).join(', ')}`);
+  console.log('-'.repeat(60));
+  for (const [reason, r] of Object.entries(report.rejected).sort((x, y) => y[1].count - x[1].count)) {
+    const values = r.typicalMedian !== null ? ` | values ${r.min}..${r.max}, median ${r.typicalMedian}${r.limit !== undefined ? ` vs limit ${r.limit}` : ''}` : '';
+    console.log(`  ${reason.padEnd(14)} ${String(r.perCycle).padStart(6)}/cycle (${r.percentOfEvaluated}% of evaluated)${values}`);
+    if (r.topTokens.length) console.log(`  ${''.padEnd(14)} e.g. ${r.topTokens.join(', ')}`);
+  }
+  const failures = Object.entries(report.failures).sort((x, y) => y[1] - x[1]);
+  if (failures.length) {
+    console.log('-'.repeat(60));
+    for (const [failure, n] of failures) console.log(`  Source failure: ${failure} (${n}x)`);
+  }
+  console.log('='.repeat(60));
+}
+
+function main() {
+  const argv = process.argv.slice(2);
+  let hours = 24;
+  let files = funnelFiles();
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--hours') hours = Number(argv[++i]);
+    else if (argv[i] === '--file') files = [argv[++i]];
+  }
+  const sinceMs = now() - hours * 3600000;
+  const report = aggregateFunnels(loadFunnels(files, sinceMs));
+  // The oldest backup in use means rotation may already have dropped cycles inside the window
+  const oldest = files[0];
+  report.truncated = report.cycles > 0 && files.length > 1 && fs.existsSync(oldest) &&
+    Date.parse(report.from) > sinceMs + (config.intervals?.scanMs || 0) * 2;
+  printReport(report);
+}
+
+if (require.main === module) main();
+
+module.exports = { createFunnel, addSource, recordFilter, summarizeFunnel, formatFunnel, reportFunnel, funnelFiles, loadFunnels, aggregateFunnels };
@@ -9,11 +9,16 @@
  * Uses its own capital allocation and position tracking.
  */
 const config = require('../config.json');
-const { getTokenPrice } = require('./scanner');
+const { isTrusted } = require('./oracle');
+const { getFreshPrice } = require('./prices');
 const { executeBuy, executeSell } = require('./executor');
 const { writeAlert } = require('./alerts');
 const { fmtUsd } = require('./utils');
 const { getState, saveState } = require('./state');
+const { getCandles } = require('./candles');
+const { last, adx } = require('./indicators');
+const { getCurrentRegime, regimeAllows, regimeSettings } = require('./regime');
+const { getToken, getDenial } = require('./watchlist');
 
 const gridConfig = config.grid || {};
 
@@ -151,10 +156,14 @@ async function checkGrid(mint) {
   const tokenGrid = grid.tokens[mint];
   if (!tokenGrid || !tokenGrid.active) return;
 
-  const priceData = await getTokenPrice(mint);
-  if (!priceData) return;
+  const quote = getFreshPrice(mint, tokenGrid.token)?.quote;
+  if (!quote) return;
+  if (!isTrusted(quote)) {
+    console.log(`[GRID] ${tokenGrid.token}: low-confidence price $${quote.price} (confidence ${quote.confidence}), skipping this check`);
+    return;
+  }
 
-  const currentPrice = priceData.price;
+  const currentPrice = quote.price;
   const prevPrice = tokenGrid.lastPrice;
   tokenGrid.lastPrice = currentPrice;
   tokenGrid.lastCheck = new Date().toISOString();
@@ -202,6 +211,13 @@ async function checkGrid(mint) {
     );
     if (alreadyFilled) return;
 
+    // Denylisted tokens only work off their filled buys
+    const denial = getDenial(mint);
+    if (denial) {
+      console.log(`[GRID] Skip buy ${tokenGrid.token}: denylisted (${denial.reason})`);
+      return;
+    }
+
     // Check capital
     const availableForGrid = (gridConfig.maxCapital || 30) - grid.capitalAllocated;
     if (availableForGrid < tokenGrid.capitalPerLevel) {
@@ -256,12 +272,21 @@ async function gridLoop() {
  * - High liquidity (>$2M)
  * - Low volatility (small 24h change)
  * - High volume (active trading)
+ * - Not trending: ADX below maxAdx, on the regime classifier's timeframe and period (skipped until there are enough bars)
  */
 function isGoodGridCandidate(token) {
+  if (getToken(token.mint)?.gridEligible === false || getDenial(token.mint)) return false;
+
   const absChange24h = Math.abs(token.priceChange24h || 0);
   const minLiquidity = gridConfig.minLiquidity || 2000000;
   const maxVolatility = gridConfig.maxVolatility24h || 8;
 
+  if (gridConfig.maxAdx) {
+    const { timeframe, adxPeriod } = regimeSettings();
+    const trendStrength = last(adx(getCandles(token.mint, timeframe), adxPeriod).adx);
+    if (trendStrength !== null && trendStrength > gridConfig.maxAdx) return false;
+  }
+
   return (
     token.liquidity >= minLiquidity &&
     absChange24h <= maxVolatility &&
@@ -280,6 +305,13 @@ async function gridScanLoop(candidates) {
 
   if (activeCount >= maxGridTokens) return;
 
+  // New grids only in the regimes they suit; existing grids keep running
+  const { regime } = getCurrentRegime();
+  if (!regimeAllows(gridConfig.regimes, regime)) {
+    console.log(`[GRID] Regime ${regime}: no new grids (grid.regimes: ${gridConfig.regimes.join(', ')})`);
+    return;
+  }
+
   // Filter for good grid candidates not already in grid
   const gridCandidates = candidates
     .filter(t => isGoodGridCandidate(t) && !grid.tokens[t.mint])
@@ -306,6 +338,39 @@ function removeGrid(mint) {
   return true;
 }
 
+/**
+ * Sell every filled buy in a grid at market and deactivate it (kill switch flatten)
+ * @returns {Promise<number>} Number of fills left unsold (failed sells)
+ */
+async function flattenGrid(mint) {
+  const grid = initGridState();
+  const tokenGrid = grid.tokens[mint];
+  if (!tokenGrid) return 0;
+
+  tokenGrid.active = false;
+  for (let i = tokenGrid.filledBuys.length - 1; i >= 0; i--) {
+    const buy = tokenGrid.filledBuys[i];
+    const result = await executeSell(mint, buy.amount, tokenGrid.token);
+    if (!result.success) continue;
+
+    const usdcReceived = result.usdcReceived || (buy.usdcSpent * (tokenGrid.lastPrice / buy.level));
+    const pnl = usdcReceived - buy.usdcSpent;
+    tokenGrid.filledBuys.splice(i, 1);
+    tokenGrid.pnl += pnl;
+    tokenGrid.trades++;
+    grid.totalPnl += pnl;
+    grid.totalTrades++;
+    grid.capitalAllocated = Math.max(0, grid.capitalAllocated - buy.usdcSpent);
+
+    writeAlert('GRID_SELL', `Grid FLATTEN ${tokenGrid.token}: ${fmtUsd(usdcReceived)} (${pnl >= 0 ? '+' : ''}${fmtUsd(pnl)})`, {
+      mint, level: buy.level, pnl, txId: result.txId
+    });
+  }
+
+  saveState();
+  return tokenGrid.filledBuys.length;
+}
+
 /**
  * Get grid status summary
  */
@@ -336,6 +401,7 @@ module.exports = {
   gridLoop,
   gridScanLoop,
   removeGrid,
+  flattenGrid,
   getGridStatus,
   isGoodGridCandidate
 };
@@ -0,0 +1,136 @@
+/**
+ * Price history - time-based bars per token, built by src/candles.js
+ *
+ * Fed by scanner candidates every scan and by position-loop price polls;
+ * read by strategies, volatility stops, trailing stops and the exposure
+ * limits. Indicators run on config.candles.indicatorTimeframe bars (default
+ * 5m), so periods mean the same thing whatever intervals.scanMs is.
+ *
+ * Bars and the trend filter's SOL history are snapshotted to
+ * config.history.snapshotFile and reloaded at boot, so restarts keep them.
+ * The indicator timeframe plus history.snapshotTimeframes (default 15m and
+ * 1h) of the history.snapshotMaxMints most recently ticked mints are written.
+ */
+const fs = require('fs');
+const config = require('../config.json');
+const { now } = require('./utils');
+const { TIMEFRAMES, addTick, backfill, getCandles, exportCandles, importCandles, pruneCandles, getCandleMintCount } = require('./candles');
+const { exportTrendHistory, importTrendHistory } = require('./trend');
+const { last, atr: atrSeries, stdDev: stdDevSeries, returns } = require('./indicators');
+
+function indicatorTimeframe() {
+  return config.candles?.indicatorTimeframe || '5m';
+}
+
+/**
+ * Record a price tick
+ * @param {string} mint - Token mint
+ * @param {number} price - Price in USD
+ * @param {object} [opts] - { volume1h } rolling 1h volume for the bar volume estimate
+ */
+function recordPrice(mint, price, opts = {}) {
+  addTick(mint, price, opts);
+}
+
+/**
+ * Record a scanner candidate, backfilling hourly bars the first time a mint is seen
+ * @param {object} candidate - normalizePair output
+ */
+function recordCandidate(candidate) {
+  if (config.candles?.backfill !== false) backfill(candidate);
+  addTick(candidate.mint, candidate.price, { volume1h: candidate.volume1h });
+}
+
+/**
+ * Bar closes for a token (oldest first, including the bar still forming)
+ * @param {string} mint - Token mint
+ * @param {string} [tf] - Timeframe, defaults to the indicator timeframe
+ * @returns {Array<{price: number, ts: number}>}
+ */
+function getPriceSeries(mint, tf = indicatorTimeframe()) {
+  return getCandles(mint, tf).map(b => ({ price: b.close, ts: b.t }));
+}
+
+/**
+ * Realized volatility from bars: Wilder ATR (per bar) and the stdDev of per-bar returns
+ * over the window, scaled by √bars to candles.volHorizonHours (default 24h), the horizon
+ * volatility sizing and volatility stops are set for
+ * @param {string} mint - Token mint
+ * @param {number} period - ATR lookback in bars
+ * @param {string} [tf] - Timeframe, defaults to the indicator timeframe
+ * @returns {{ atr: number, atrPercent: number, stdDev: number, stdDevPercent: number, barStdDevPercent: number, horizonHours: number, dataPoints: number } | null}
+ */
+function getVolatility(mint, period = 14, tf = indicatorTimeframe()) {
+  const bars = getCandles(mint, tf);
+  if (bars.length < period + 1) return null;
+
+  const n = bars.length;
+  const lastClose = bars[n - 1].close;
+  const atr = last(atrSeries(bars, period));
+  const rets = returns(bars.map(b => b.close));
+  const barStdDev = last(stdDevSeries(rets, rets.length));
+
+  const horizonHours = config.candles?.volHorizonHours || 24;
+  const stdDevPercent = barStdDev * Math.sqrt(horizonHours * TIMEFRAMES['1h'] / TIMEFRAMES[tf]) * 100;
+
+  return {
+    atr,
+    atrPercent: (atr / lastClose) * 100,
+    stdDev: lastClose * stdDevPercent / 100,
+    stdDevPercent,
+    barStdDevPercent: barStdDev * 100,
+    horizonHours,
+    dataPoints: n
+  };
+}
+
+/**
+ * Get the number of tracked price histories
+ */
+function getPriceHistoryCount() {
+  return getCandleMintCount();
+}
+
+/**
+ * Write bars and trend history to the snapshot file (tmp file + rename, never half-written)
+ * Tokens with no tick in 24h are forgotten first; mints are capped, which keeps the file bounded.
+ * The indicator timeframe is always kept: mean reversion, volatility and getPriceSeries run on it.
+ */
+function saveHistorySnapshot() {
+  const file = config.history?.snapshotFile;
+  if (!file) return;
+
+  pruneCandles();
+  const timeframes = new Set([indicatorTimeframe(), ...(config.history.snapshotTimeframes || ['15m', '1h'])]);
+  const candles = exportCandles({
+    timeframes: [...timeframes],
+    maxMints: config.history.snapshotMaxMints || 100
+  });
+  const snapshot = { savedAt: now(), candles, trend: exportTrendHistory() };
+  try {
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(snapshot));
+    fs.renameSync(`${file}.tmp`, file);
+  } catch (err) {
+    console.error(`[HISTORY] Failed to save snapshot: ${err.message}`);
+  }
+}
+
+/**
+ * Reload the snapshot at boot; series with too long a gap since it was saved are dropped
+ */
+function loadHistorySnapshot() {
+  const file = config.history?.snapshotFile;
+  if (!file || !fs.existsSync(file)) return;
+
+  try {
+    const snapshot = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    const { mints, dropped } = importCandles(snapshot.candles);
+    const trendPoints = importTrendHistory(snapshot.trend);
+    const ageMin = ((now() - snapshot.savedAt) / 60000).toFixed(0);
+    console.log(`[HISTORY] Loaded snapshot from ${ageMin}m ago: ${mints} tokens (${dropped} stale series dropped), ${trendPoints} trend points`);
+  } catch (err) {
+    console.error(`[HISTORY] Failed to load snapshot: ${err.message}`);
+  }
+}
+
+module.exports = { recordPrice, recordCandidate, getPriceSeries, getVolatility, getPriceHistoryCount, saveHistorySnapshot, loadHistorySnapshot };
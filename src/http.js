@@ -0,0 +1,280 @@
+/**
+ * HTTP client - per-host rate limits, retries, circuit breakers and a short response cache
+ *
+ * Every outbound JSON call goes through request() (utils.safeFetch wraps it):
+ * - Token bucket per host (ratePerSec, burst): calls wait for a token instead of
+ *   getting throttled
+ * - GET/HEAD retry timeouts, network errors, 429 and 5xx with jittered exponential
+ *   backoff (429 honours Retry-After); other methods make one attempt
+ * - Circuit breaker per host: after breaker.failureThreshold consecutive failures
+ *   calls fail fast with CircuitOpenError for breaker.cooldownMs, then one trial
+ *   call decides whether it closes again
+ * - GET responses cached for cacheTtlMs (0 = off), concurrent identical GETs share one call
+ *
+ * Failures throw typed errors, so callers can tell throttling or an outage
+ * from an empty result. Settings: config.http, per-host overrides in config.http.hosts.
+ */
+const fetch = require('node-fetch');
+const config = require('../config.json');
+
+const DEFAULTS = {
+  ratePerSec: 5,
+  burst: 10,
+  retries: 2,
+  baseDelayMs: 500,
+  maxDelayMs: 8000,
+  cacheTtlMs: 0,
+  breaker: { failureThreshold: 5, cooldownMs: 60000 }
+};
+
+class RequestError extends Error {
+  constructor(message, url) {
+    super(message);
+    this.name = this.constructor.name;
+    this.url = url;
+    this.host = hostOf(url);
+  }
+}
+
+/** Non-2xx response */
+class HttpError extends RequestError {
+  constructor(status, statusText, url) {
+    super(`HTTP ${status}: ${statusText}`, url);
+    this.status = status;
+  }
+}
+
+/** 429 from the server */
+class RateLimitError extends HttpError {
+  constructor(statusText, url, retryAfterMs) {
+    super(429, statusText, url);
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/** No response within the timeout */
+class TimeoutError extends RequestError {
+  constructor(url, timeoutMs) {
+    super(`Fetch timeout after ${timeoutMs}ms: ${url}`, url);
+  }
+}
+
+/** Host's breaker is open; the call was not made */
+class CircuitOpenError extends RequestError {
+  constructor(url, retryAt) {
+    super(`Circuit open for ${hostOf(url)} until ${new Date(retryAt).toISOString()}`, url);
+    this.retryAt = retryAt;
+  }
+}
+
+const buckets = new Map();   // host -> { tokens, updatedAt }
+const breakers = new Map();  // host -> { state, failures, openedAt, lastError }
+const cache = new Map();     // url -> { data, expires }
+const inFlight = new Map();  // url -> Promise
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+function hostOf(url) {
+  try {
+    return new URL(url).host;
+  } catch (_) {
+    return 'unknown';
+  }
+}
+
+function hostSettings(host) {
+  const base = { ...DEFAULTS, ...config.http };
+  const override = config.http?.hosts?.[host] || {};
+  return { ...base, ...override, breaker: { ...DEFAULTS.breaker, ...base.breaker, ...override.breaker } };
+}
+
+/**
+ * Wait for a token from the host's bucket
+ */
+async function takeToken(host, cfg) {
+  const bucket = buckets.get(host) || { tokens: cfg.burst, updatedAt: Date.now() };
+  buckets.set(host, bucket);
+
+  const refill = () => {
+    const t = Date.now();
+    bucket.tokens = Math.min(cfg.burst, bucket.tokens + (t - bucket.updatedAt) / 1000 * cfg.ratePerSec);
+    bucket.updatedAt = t;
+  };
+
+  refill();
+  while (bucket.tokens < 1) {
+    await sleep(Math.ceil((1 - bucket.tokens) / cfg.ratePerSec * 1000));
+    refill();
+  }
+  bucket.tokens -= 1;
+}
+
+function getBreaker(host) {
+  if (!breakers.has(host)) breakers.set(host, { state: 'closed', failures: 0, openedAt: null, lastError: null });
+  return breakers.get(host);
+}
+
+/**
+ * Throw CircuitOpenError while the host's breaker is open; after the cooldown let one trial through
+ */
+function checkBreaker(host, url, cfg) {
+  const breaker = getBreaker(host);
+  if (breaker.state === 'closed') return;
+
+  const retryAt = breaker.openedAt + cfg.breaker.cooldownMs;
+  if (breaker.state === 'open' && Date.now() >= retryAt) {
+    breaker.state = 'half-open';
+    return;
+  }
+  throw new CircuitOpenError(url, breaker.state === 'open' ? retryAt : Date.now() + cfg.breaker.cooldownMs);
+}
+
+function recordSuccess(host) {
+  const breaker = getBreaker(host);
+  if (breaker.state !== 'closed') console.log(`[HTTP] Circuit closed for ${host}`);
+  breaker.state = 'closed';
+  breaker.failures = 0;
+}
+
+function recordFailure(host, err, cfg) {
+  const breaker = getBreaker(host);
+  breaker.failures++;
+  breaker.lastError = err.message;
+  if (breaker.state === 'half-open' || (breaker.state === 'closed' && breaker.failures >= cfg.breaker.failureThreshold)) {
+    breaker.state = 'open';
+    breaker.openedAt = Date.now();
+    console.log(`[HTTP] Circuit open for ${host} after ${breaker.failures} failures (${err.message}), cooling down ${cfg.breaker.cooldownMs / 1000}s`);
+  }
+}
+
+/** Failures that say something about the host (a 404 or 400 doesn't) */
+function isHostFailure(err) {
+  if (err instanceof HttpError) return err.status === 429 || err.status === 408 || err.status >= 500;
+  return !(err instanceof CircuitOpenError);
+}
+
+/** Full-jitter exponential backoff, or the server's Retry-After */
+function backoffMs(attempt, err, cfg) {
+  if (err instanceof RateLimitError && err.retryAfterMs) return Math.min(err.retryAfterMs, cfg.maxDelayMs);
+  return Math.random() * Math.min(cfg.maxDelayMs, cfg.baseDelayMs * 2 ** attempt);
+}
+
+async function attempt(url, options, timeoutMs) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    const res = await fetch(url, { ...options, signal: controller.signal });
+    if (res.status === 429) {
+      const retryAfter = Number(res.headers.get('retry-after'));
+      throw new RateLimitError(res.statusText, url, retryAfter > 0 ? retryAfter * 1000 : null);
+    }
+    if (!res.ok) throw new HttpError(res.status, res.statusText, url);
+    return await res.json();
+  } catch (err) {
+    if (err.name === 'AbortError') throw new TimeoutError(url, timeoutMs);
+    throw err;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+async function send(url, options, host, cfg) {
+  const method = (options.method || 'GET').toUpperCase();
+  const retries = options.retries ?? (method === 'GET' || method === 'HEAD' ? cfg.retries : 0);
+  const timeoutMs = options.timeoutMs || 10000;
+  const { retries: _r, timeoutMs: _t, cacheTtlMs: _c, ...fetchOptions } = options;
+
+  for (let i = 0; ; i++) {
+    checkBreaker(host, url, cfg);
+    await takeToken(host, cfg);
+    try {
+      const data = await attempt(url, fetchOptions, timeoutMs);
+      recordSuccess(host);
+      return data;
+    } catch (err) {
+      if (!isHostFailure(err)) {
+        if (err instanceof HttpError) recordSuccess(host); // the host answered; the request was the problem
+        throw err;
+      }
+      recordFailure(host, err, cfg);
+      if (i >= retries) throw err;
+      await sleep(backoffMs(i, err, cfg));
+    }
+  }
+}
+
+/**
+ * JSON request with rate limiting, retries, circuit breaker and GET caching
+ * @param {string} url - Request URL
+ * @param {object} [options] - fetch options plus { timeoutMs, retries, cacheTtlMs }
+ * @returns {Promise<any>} Parsed JSON body
+ * @throws {RateLimitError|HttpError|TimeoutError|CircuitOpenError|Error}
+ */
+async function request(url, options = {}) {
+  const host = hostOf(url);
+  const cfg = hostSettings(host);
+  const method = (options.method || 'GET').toUpperCase();
+  if (method !== 'GET') return send(url, options, host, cfg);
+
+  const ttl = options.cacheTtlMs ?? cfg.cacheTtlMs;
+  const cached = cache.get(url);
+  if (ttl > 0 && cached && cached.expires > Date.now()) return cached.data;
+  if (inFlight.has(url)) return inFlight.get(url);
+
+  const pending = send(url, options, host, cfg)
+    .then(data => {
+      if (ttl > 0) cache.set(url, { data, expires: Date.now() + ttl });
+      return data;
+    })
+    .finally(() => inFlight.delete(url));
+  inFlight.set(url, pending);
+
+  // Drop expired entries now and then so the cache stays small
+  if (cache.size > 500) {
+    for (const [key, entry] of cache) if (entry.expires <= Date.now()) cache.delete(key);
+  }
+  return pending;
+}
+
+/**
+ * Breaker state per host for the heartbeat
+ * @returns {Object<string, { state: string, failures: number, openedAt: string|null, lastError: string|null }>}
+ */
+function getBreakerStatus() {
+  const status = {};
+  for (const [host, b] of breakers) {
+    status[host] = {
+      state: b.state,
+      failures: b.failures,
+      openedAt: b.openedAt ? new Date(b.openedAt).toISOString() : null,
+      lastError: b.lastError
+    };
+  }
+  return status;
+}
+
+/**
+ * One-line summary of failing hosts for logs ('' when every breaker is closed and clean)
+ */
+function formatBreakers(status = getBreakerStatus()) {
+  return Object.entries(status)
+    .filter(([, b]) => b.state !== 'closed' || b.failures > 0)
+    .map(([host, b]) => `${host} ${b.state.toUpperCase()} (${b.failures} failures${b.lastError ? `, ${b.lastError}` : ''})`)
+    .join(' | ');
+}
+
+/**
+ * Short description of a failed call for logs: "rate limited", "circuit open", "timeout", "HTTP 502", ...
+ */
+function describeError(err) {
+  if (err instanceof RateLimitError) return 'rate limited';
+  if (err instanceof CircuitOpenError) return 'circuit open';
+  if (err instanceof TimeoutError) return 'timeout';
+  if (err instanceof HttpError) return `HTTP ${err.status}`;
+  return `error (${err.message})`;
+}
+
+module.exports = {
+  request, getBreakerStatus, formatBreakers, describeError,
+  RequestError, HttpError, RateLimitError, TimeoutError, CircuitOpenError
+};
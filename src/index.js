@@ -8,16 +8,27 @@
  */
 require('dotenv').config({ path: require('path').join(__dirname, '..', '.env') });
 const config = require('../config.json');
-const { loadState, getState, addPosition, closePosition, deductCapital, saveState } = require('./state');
-const { scanTokens, getTokenPrice } = require('./scanner');
+const { loadState, getState, addPosition, partialClosePosition, closePosition, remainingCost, deductCapital, saveState } = require('./state');
+const { scanTokens } = require('./scanner');
+const { isTrusted } = require('./oracle');
+const { refreshPrices, getFreshPrice, priceMintFor, priceIntervalMs } = require('./prices');
 const { detectSignals } = require('./signals');
+const { recordPrice, saveHistorySnapshot, loadHistorySnapshot } = require('./history');
 const { initExecutor, executeBuy, executeSell } = require('./executor');
-const { canOpenPosition, calculatePositionSize, calculateSLTP, checkPosition, hasPosition, portfolioCheck } = require('./risk');
+const { canOpenPosition, canOpenStrategy, sizePosition, calculateSLTP, checkPosition, buildExitLadder, checkExitLadder, updateTrailingStop, checkTimeStop, getRecentClose, hasPosition, portfolioCheck } = require('./risk');
 const { writeAlert } = require('./alerts');
 const { sleep, fmtUsd, shortAddr } = require('./utils');
-const { gridLoop, gridScanLoop, initGridState, getGridStatus } = require('./grid');
-const { initDrift, openShort, closeShort, getShortPnl } = require('./drift');
-const { getMarketTrend } = require('./trend');
+const { gridLoop, gridScanLoop, initGridState, getGridStatus, flattenGrid } = require('./grid');
+const { checkExposure } = require('./exposure');
+const { initDrift, openShort, closeShort, getShortPnl, PERP_PRICE_MINTS } = require('./drift');
+const { getMarketRegime, getCurrentRegime, formatRegime } = require('./regime');
+const { getTokenTrend, tokenTrendAllows } = require('./trend');
+const { getStrategyConfig } = require('./strategies');
+const { flushRecorder, pruneRecordings } = require('./recorder');
+const { updateEquity } = require('./portfolio');
+const { getPerformance, formatPerformance } = require('./performance');
+const { getBreakerStatus, formatBreakers } = require('./http');
+const { watchWatchlist, unwatchWatchlist, getDeniedExit } = require('./watchlist');
 
 let running = true;
 let scanTimer = null;
@@ -25,6 +36,9 @@ let positionTimer = null;
 let heartbeatTimer = null;
 let gridTimer = null;
 let gridScanTimer = null;
+let recorderTimer = null;
+let historyTimer = null;
+let priceTimer = null;
 
 /** Generate a unique position ID */
 function posId() { return `pos-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`; }
@@ -45,6 +59,10 @@ async function scanLoop() {
     const candidates = await scanTokens();
     if (candidates.length === 0) return;
 
+    // Market regime gates which strategies run, new grids and Drift shorts
+    const { regime } = await getMarketRegime();
+    const driftConfig = config.drift || {};
+
     // Feed candidates to grid scanner (if enabled)
     if (config.grid?.enabled) {
       await gridScanLoop(candidates).catch(err =>
@@ -56,17 +74,6 @@ async function scanLoop() {
     const signals = detectSignals(candidates);
     if (signals.length === 0) return;
 
-    // Check market trend for short/long decision
-    const driftConfig = config.drift || {};
-    let trend = { trend: 'neutral' };
-    if (driftConfig.enabled) {
-      try {
-        trend = await getMarketTrend();
-      } catch (err) {
-        console.log(`[SCAN] Trend check failed: ${err.message}`);
-      }
-    }
-
     // Try to open positions for top signals
     for (const signal of signals.slice(0, 3)) {
       const recheck = canOpenPosition();
@@ -76,40 +83,54 @@ async function scanLoop() {
       if (hasPosition(signal.mint)) continue;
 
       // 12h cooldown: skip if we recently closed a position in this token
-      const state = getState();
-      const recentClose = (state.closedTrades || []).find(t =>
-        t.mint === signal.mint &&
-        t.closedAt &&
-        (Date.now() - new Date(t.closedAt).getTime()) < 12 * 60 * 60 * 1000
-      );
+      const recentClose = getRecentClose(signal.mint);
       if (recentClose) {
         console.log(`[SCAN] Skipping ${signal.token}: 12h cooldown (closed ${recentClose.closeReason || ''} at ${recentClose.closedAt})`);
         continue;
       }
 
-      // In downtrend: skip mean reversion longs, open shorts instead
-      if (driftConfig.enabled && trend.trend === 'downtrend' && signal.strategy === 'meanReversion') {
-        console.log(`[SCAN] Skipping mean reversion long for ${signal.token} — downtrend detected, will short instead`);
+      const strategy = signal.strategy || 'momentum';
+
+      // The token's own higher-timeframe trend, on top of the market regime
+      const tokenTrend = getTokenTrend(signal.mint);
+      if (!tokenTrendAllows(getStrategyConfig(strategy).tokenTrends, tokenTrend.trend)) {
+        console.log(`[SCAN] Skipping ${strategy} long for ${signal.token}: token ${tokenTrend.trend} (${tokenTrend.deviation}% vs ${tokenTrend.timeframe} SMA)`);
+        continue;
+      }
+
+      // Per-strategy position count and capital share
+      const strategyCheck = canOpenStrategy(strategy);
+      if (!strategyCheck.allowed) {
+        console.log(`[SCAN] Skipping ${signal.token}: ${strategyCheck.reason}`);
         continue;
       }
 
-      const size = calculatePositionSize(signal);
-      if (size < 5) continue;
+      // Levels first: risk-based sizing needs the stop distance
+      const { stopLoss, takeProfit, volatility } = calculateSLTP(signal.price, strategy, signal.mint);
+
+      const sizing = sizePosition(signal, { entryPrice: signal.price, stopLoss, mint: signal.mint });
+      if (sizing.size < 5) continue;
 
-      console.log(`[SCAN] Opening position: ${signal.token} (${signal.strategy || 'momentum'}, score: ${signal.score}, size: ${fmtUsd(size)})`);
+      // Token / sector / correlation / SOL beta caps may trim or reject the trade
+      const exposure = checkExposure({ mint: signal.mint, token: signal.token, size: sizing.size, side: 'long' });
+      if (!exposure.allowed) {
+        console.log(`[SCAN] Skipping ${signal.token}: ${exposure.reason}`);
+        continue;
+      }
+      const size = exposure.size;
+
+      console.log(`[SCAN] Opening position: ${signal.token} (${strategy}, score: ${signal.score}, size: ${fmtUsd(size)} via ${sizing.model})`);
 
       const result = await executeBuy(signal.mint, size, signal.token);
       if (!result.success) continue;
 
-      const strategy = signal.strategy || 'momentum';
-      const { stopLoss, takeProfit } = calculateSLTP(signal.price, strategy);
-
       const position = {
         id: posId(),
         token: signal.token,
         mint: signal.mint,
         entryPrice: signal.price,
         amount: result.outputAmount,
+        initialAmount: result.outputAmount,
         usdcSpent: size,
         openedAt: new Date().toISOString(),
         stopLoss,
@@ -118,7 +139,12 @@ async function scanLoop() {
         simulated: result.simulated || false,
         signalScore: signal.score,
         signalReasons: signal.reasons,
-        strategy
+        strategy,
+        regime,
+        tokenTrend,
+        volatility,
+        sizing: { model: sizing.model, ...sizing.inputs },
+        exitLadder: buildExitLadder(strategy)
       };
 
       addPosition(position);
@@ -129,8 +155,8 @@ async function scanLoop() {
       await sleep(1000); // Rate limit between trades
     }
 
-    // ── DRIFT SHORTING: Open shorts in downtrend ──
-    if (driftConfig.enabled && trend.trend === 'downtrend') {
+    // ── DRIFT SHORTING: Open shorts in the regimes listed under drift.regimes ──
+    if (driftConfig.enabled && (driftConfig.regimes || ['trending-down']).includes(regime)) {
       const state = getState();
       const openShorts = (state.positions || []).filter(p => p.strategy === 'driftShort');
       const maxShorts = driftConfig.maxShorts || 3;
@@ -141,34 +167,48 @@ async function scanLoop() {
           if (openShorts.some(s => s.market === market)) continue;
           if (openShorts.length >= maxShorts) break;
 
-          const shortSize = Math.min(
-            driftConfig.maxShortSize || 30,
-            20 + Math.random() * 10 // $20-30 range
-          );
+          const exposure = checkExposure({
+            mint: market,
+            token: market,
+            size: Math.min(driftConfig.maxShortSize || 30, 20 + Math.random() * 10), // $20-30 range
+            side: 'short',
+            priceMint: PERP_PRICE_MINTS[market] || config.mints.SOL,
+            leverage: driftConfig.leverage || 1
+          });
+          if (!exposure.allowed) {
+            console.log(`[SCAN] Skipping short ${market}: ${exposure.reason}`);
+            continue;
+          }
+          const shortSize = exposure.size;
 
-          console.log(`[SCAN] Downtrend detected — opening short: ${market} ${fmtUsd(shortSize)}`);
+          console.log(`[SCAN] Regime ${regime} — opening short: ${market} ${fmtUsd(shortSize)}`);
 
           const result = await openShort(market, shortSize, driftConfig.leverage || 1);
           if (!result.success) continue;
 
-          const slPercent = driftConfig.stopLossPercent || 8;
-          const tpPercent = driftConfig.takeProfitPercent || 10;
+          const priceMint = PERP_PRICE_MINTS[market] || config.mints.SOL;
+          const { stopLoss, takeProfit, volatility } = calculateSLTP(result.entryPrice, 'driftShort', priceMint);
 
           const shortPosition = {
             id: result.positionId,
             token: market,
             mint: market, // use market name as mint for shorts
             market,
+            priceMint,
             entryPrice: result.entryPrice,
             baseAmount: result.baseAmount,
+            initialAmount: result.baseAmount,
             usdcSpent: shortSize,
             openedAt: new Date().toISOString(),
-            stopLoss: result.entryPrice * (1 + slPercent / 100),   // short SL is price UP
-            takeProfit: result.entryPrice * (1 - tpPercent / 100), // short TP is price DOWN
+            stopLoss,    // short SL is price UP
+            takeProfit,  // short TP is price DOWN
             txId: result.txId,
             simulated: result.simulated || false,
             strategy: 'driftShort',
-            leverage: driftConfig.leverage || 1
+            regime,
+            leverage: driftConfig.leverage || 1,
+            volatility,
+            exitLadder: buildExitLadder('driftShort')
           };
 
           addPosition(shortPosition);
@@ -186,47 +226,54 @@ async function scanLoop() {
 }
 
 /**
- * POSITION CHECK LOOP: Monitor open positions for SL/TP
+ * POSITION CHECK LOOP: Monitor open positions for SL/TP, then mark the book to market
  */
 async function positionLoop() {
   if (!running) return;
   try {
     const state = getState();
-    if (state.positions.length === 0) return;
-
-    const timeStopMs = (config.timeStopHours || 24) * 60 * 60 * 1000;
+    const prices = new Map(); // prices seen this pass, reused for equity
 
     for (const pos of [...state.positions]) {
       // ── DRIFT SHORT POSITIONS ──
       if (pos.strategy === 'driftShort') {
-        // Get current price for the perp market via DexScreener (SOL)
-        const solMint = config.mints.SOL;
-        const priceData = await getTokenPrice(solMint);
-        if (!priceData) continue;
-
-        const currentPrice = priceData.price;
+        // Price the perp market from its own underlying (oracle median incl. Drift's oracle)
+        const priceMint = priceMintFor(pos);
+        const quote = getFreshPrice(priceMint, pos.market)?.quote;
+        if (!quote) continue;
+
+        const currentPrice = quote.price;
+        const trusted = isTrusted(quote);
+        prices.set(priceMint, currentPrice);
+        recordPrice(priceMint, currentPrice);
         const { pnl, pnlPercent } = getShortPnl(pos, currentPrice);
 
-        let shouldClose = false;
-        let reason = '';
+        // Trail the stop down as price falls
+        if (trusted && updateTrailingStop(pos, currentPrice)) saveState();
 
-        // Short stop loss: price went UP past SL
-        if (currentPrice >= pos.stopLoss) {
-          shouldClose = true;
-          reason = 'SHORT_STOP_LOSS';
+        // Scaled exit: buy back the next ladder tranche once its target is hit
+        const tranche = trusted ? checkExitLadder(pos, currentPrice) : null;
+        if (tranche && !tranche.final) {
+          const fraction = tranche.amount / pos.baseAmount;
+          const result = await closeShort(pos.market, tranche.amount);
+          if (result.success) {
+            pos.exitLadder[tranche.index].filled = true;
+            const usdcReceived = result.usdcReceived ?? (remainingCost(pos) + pnl) * fraction;
+            partialClosePosition(pos.id, tranche.amount, result.exitPrice || currentPrice, usdcReceived, tranche.reason);
+          }
         }
-        // Short take profit: price went DOWN past TP
-        else if (currentPrice <= pos.takeProfit) {
+
+        // Short SL: price went UP past stop | Short TP: price went DOWN past target
+        let { shouldClose, reason } = checkPosition(pos, currentPrice, quote);
+        if (!shouldClose && tranche?.final) {
           shouldClose = true;
-          reason = 'SHORT_TAKE_PROFIT';
+          reason = tranche.reason;
         }
+
         // 24h time stop: close if open > 24h and not profitable
-        else if (pos.openedAt) {
-          const openDuration = Date.now() - new Date(pos.openedAt).getTime();
-          if (openDuration > timeStopMs && pnl <= 0) {
-            shouldClose = true;
-            reason = 'TIME_STOP_24H';
-          }
+        if (!shouldClose && checkTimeStop(pos, pnl)) {
+          shouldClose = true;
+          reason = 'TIME_STOP_24H';
         }
 
         if (shouldClose) {
@@ -234,32 +281,59 @@ async function positionLoop() {
 
           const result = await closeShort(pos.market, pos.baseAmount);
           if (result.success) {
-            const usdcReceived = pos.usdcSpent + pnl;
-            closePosition(pos.id, currentPrice, usdcReceived, reason);
+            const remaining = getShortPnl(pos, currentPrice);
+            const usdcReceived = result.usdcReceived ?? (remainingCost(pos) + remaining.pnl);
+            closePosition(pos.id, result.exitPrice || currentPrice, usdcReceived, reason);
           }
         } else {
           console.log(`[POSITION] SHORT ${pos.market}: $${currentPrice.toFixed(2)} (${pnlPercent >= 0 ? '+' : ''}${pnlPercent.toFixed(1)}%)`);
         }
 
-        await sleep(500);
         continue;
       }
 
       // ── REGULAR (LONG) POSITIONS ──
-      const priceData = await getTokenPrice(pos.mint);
-      if (!priceData) continue;
+      const quote = getFreshPrice(pos.mint, pos.token)?.quote;
+      if (!quote) continue;
+
+      const currentPrice = quote.price;
+      const trusted = isTrusted(quote);
+      prices.set(pos.mint, currentPrice);
+      recordPrice(pos.mint, currentPrice);
+
+      // Ratchet trailing/break-even stop before checking it (never on an untrusted quote)
+      if (trusted && updateTrailingStop(pos, currentPrice)) saveState();
+
+      // Scaled exit: sell the next ladder tranche once its target is hit
+      const tranche = trusted ? checkExitLadder(pos, currentPrice) : null;
+      if (tranche && !tranche.final) {
+        const fraction = Number(tranche.amount) / Number(pos.amount);
+        const result = await executeSell(pos.mint, tranche.amount, pos.token);
+        if (result.success) {
+          pos.exitLadder[tranche.index].filled = true;
+          const usdcReceived = result.usdcReceived || (remainingCost(pos) * fraction * (currentPrice / pos.entryPrice));
+          partialClosePosition(pos.id, tranche.amount, result.price || currentPrice, usdcReceived, tranche.reason);
+        }
+      }
 
-      const currentPrice = priceData.price;
-      let { shouldClose, reason } = checkPosition(pos, currentPrice);
+      let { shouldClose, reason } = checkPosition(pos, currentPrice, quote);
+      if (!shouldClose && tranche?.final) {
+        shouldClose = true;
+        reason = tranche.reason;
+      }
 
       // 24h time stop for longs too
-      if (!shouldClose && pos.openedAt) {
-        const openDuration = Date.now() - new Date(pos.openedAt).getTime();
-        const longPnl = currentPrice - pos.entryPrice;
-        if (openDuration > timeStopMs && longPnl <= 0) {
-          shouldClose = true;
-          reason = 'TIME_STOP_24H';
-        }
+      if (!shouldClose && checkTimeStop(pos, currentPrice - pos.entryPrice)) {
+        shouldClose = true;
+        reason = 'TIME_STOP_24H';
+      }
+
+      // Token added to the denylist while held
+      const denial = !shouldClose && getDeniedExit(pos.mint);
+      if (denial) {
+        console.log(`[POSITION] ${pos.token} is denylisted: ${denial.reason}`);
+        shouldClose = true;
+        reason = 'DENYLISTED';
       }
 
       if (shouldClose) {
@@ -267,21 +341,59 @@ async function positionLoop() {
 
         const result = await executeSell(pos.mint, pos.amount, pos.token);
         if (result.success) {
-          const usdcReceived = result.usdcReceived || (pos.usdcSpent * (currentPrice / pos.entryPrice));
-          closePosition(pos.id, currentPrice, usdcReceived, reason);
+          const usdcReceived = result.usdcReceived || (remainingCost(pos) * (currentPrice / pos.entryPrice));
+          closePosition(pos.id, result.price || currentPrice, usdcReceived, reason);
         }
       } else {
         const pnl = ((currentPrice - pos.entryPrice) / pos.entryPrice * 100).toFixed(1);
         console.log(`[POSITION] ${pos.token}: $${currentPrice.toFixed(6)} (${pnl}%)`);
       }
+    }
 
-      await sleep(500); // Rate limit
+    // Mark-to-market equity (grid fills use the grid loop's last price)
+    const { killSwitchFired } = updateEquity(prices);
+    if (killSwitchFired && config.risk.flattenOnKillSwitch) {
+      await flattenAll(prices);
     }
   } catch (err) {
     writeAlert('ERROR', `Position loop error: ${err.message}`);
   }
 }
 
+/**
+ * Close every open position and grid fill at market (kill switch)
+ */
+async function flattenAll(prices) {
+  const state = getState();
+  writeAlert('ERROR', `Flattening ${state.positions.length} positions and all grid fills`);
+
+  for (const pos of [...state.positions]) {
+    if (pos.strategy === 'driftShort') {
+      const currentPrice = prices.get(priceMintFor(pos)) || pos.entryPrice;
+      const result = await closeShort(pos.market, pos.baseAmount);
+      if (result.success) {
+        const usdcReceived = result.usdcReceived ?? (remainingCost(pos) + getShortPnl(pos, currentPrice).pnl);
+        closePosition(pos.id, result.exitPrice || currentPrice, usdcReceived, 'KILL_SWITCH');
+      }
+    } else {
+      const currentPrice = prices.get(pos.mint) || pos.entryPrice;
+      const result = await executeSell(pos.mint, pos.amount, pos.token);
+      if (result.success) {
+        const usdcReceived = result.usdcReceived || (remainingCost(pos) * (currentPrice / pos.entryPrice));
+        closePosition(pos.id, result.price || currentPrice, usdcReceived, 'KILL_SWITCH');
+      }
+    }
+    await sleep(500);
+  }
+
+  for (const mint of Object.keys(state.grid?.tokens || {})) {
+    await flattenGrid(mint);
+  }
+
+  const left = getState().positions.length;
+  if (left > 0) writeAlert('ERROR', `Flatten incomplete: ${left} positions still open`);
+}
+
 /**
  * HEARTBEAT: Periodic health check
  */
@@ -297,7 +409,18 @@ function heartbeat() {
     }
   }
 
-  writeAlert('HEARTBEAT', `Bot alive | Mode: ${config.mode} | Uptime: running`, summary);
+  // Rolling per-strategy stats (and any active performance guard)
+  summary.strategies = getPerformance();
+  for (const line of formatPerformance(summary.strategies)) console.log(`[PERF] ${line}`);
+
+  summary.regime = getCurrentRegime();
+
+  // Per-host circuit breakers (only hosts with failures are logged)
+  summary.http = getBreakerStatus();
+  const failing = formatBreakers(summary.http);
+  if (failing) console.log(`[HTTP] ${failing}`);
+
+  writeAlert('HEARTBEAT', `Bot alive | Mode: ${config.mode} | Regime: ${formatRegime(summary.regime)}`, summary);
 }
 
 /**
@@ -311,6 +434,12 @@ function shutdown(signal) {
   clearInterval(heartbeatTimer);
   clearInterval(gridTimer);
   clearInterval(gridScanTimer);
+  clearInterval(recorderTimer);
+  clearInterval(historyTimer);
+  clearInterval(priceTimer);
+  unwatchWatchlist();
+  flushRecorder();
+  saveHistorySnapshot();
   saveState();
   console.log('[BOT] State saved. Goodbye!');
   process.exit(0);
@@ -336,6 +465,8 @@ async function main() {
 
   // Load persisted state
   loadState();
+  loadHistorySnapshot();
+  watchWatchlist();
 
   // Init executor (wallet + RPC)
   initExecutor();
@@ -368,13 +499,19 @@ async function main() {
 
   // Start loops
   console.log(`[BOT] Starting scan loop (every ${config.intervals.scanMs / 1000}s)...`);
-  console.log(`[BOT] Starting position monitor (every ${config.intervals.positionCheckMs / 1000}s)...`);
+  console.log(`[BOT] Starting price snapshot (every ${priceIntervalMs() / 1000}s) and position monitor (every ${config.intervals.positionCheckMs / 1000}s)...`);
   console.log(`[BOT] Heartbeat every ${config.intervals.heartbeatMs / 60000} minutes`);
 
+  // Price open positions and grids before the first checks
+  await refreshPrices().catch(err => writeAlert('ERROR', `Price refresh error: ${err.message}`));
+
   // Run first scan immediately
   await scanLoop();
 
   // Schedule recurring loops
+  priceTimer = setInterval(() => {
+    refreshPrices().catch(err => writeAlert('ERROR', `Price refresh error: ${err.message}`));
+  }, priceIntervalMs());
   scanTimer = setInterval(scanLoop, config.intervals.scanMs);
   positionTimer = setInterval(positionLoop, config.intervals.positionCheckMs);
   heartbeatTimer = setInterval(heartbeat, config.intervals.heartbeatMs);
@@ -389,6 +526,24 @@ async function main() {
     console.log(`[BOT] Grid trading enabled (check every ${gridCheckMs / 1000}s, ${config.grid.levels} levels, ${config.grid.spreadPercent}% spread)`);
   }
 
+  // Market data recorder (flush buffered snapshots, enforce retention)
+  if (config.recorder?.enabled) {
+    pruneRecordings();
+    const flushMs = config.recorder.flushIntervalMs || 60000;
+    recorderTimer = setInterval(() => {
+      flushRecorder();
+      pruneRecordings();
+    }, flushMs);
+    console.log(`[BOT] Recording market data to ${config.recorder.dir} (flush every ${flushMs / 1000}s, keep ${config.recorder.retentionDays || 30}d)`);
+  }
+
+  // Indicator history snapshot (survives restarts)
+  if (config.history?.snapshotFile) {
+    const snapshotMs = Math.max(60000, config.history.snapshotIntervalMs || 300000);
+    historyTimer = setInterval(saveHistorySnapshot, snapshotMs);
+    console.log(`[BOT] Snapshotting price history to ${config.history.snapshotFile} every ${snapshotMs / 60000} minutes`);
+  }
+
   console.log('[BOT] All systems go! 🚀');
 }
 
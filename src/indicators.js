@@ -0,0 +1,308 @@
+/**
+ * Technical indicators - pure functions over number arrays and candle series
+ *
+ * Series functions return an array aligned with the input (oldest first),
+ * with null where the lookback isn't filled yet; use last() for the latest
+ * value. Candle inputs are { open, high, low, close, volume } bars as built
+ * by src/candles.js.
+ *
+ * Conventions follow the usual references: EMA seeded with the SMA of the
+ * first `period` values, RSI/ATR/ADX with Wilder smoothing, population
+ * standard deviation for Bollinger Bands.
+ */
+
+/** Latest non-null value of a series */
+function last(series) {
+  for (let i = series.length - 1; i >= 0; i--) {
+    if (series[i] !== null && series[i] !== undefined) return series[i];
+  }
+  return null;
+}
+
+function mean(values) {
+  return values.length ? values.reduce((a, b) => a + b, 0) / values.length : null;
+}
+
+/** Population standard deviation */
+function stdDevOf(values) {
+  const m = mean(values);
+  if (m === null) return null;
+  return Math.sqrt(values.reduce((sum, v) => sum + (v - m) ** 2, 0) / values.length);
+}
+
+/**
+ * Simple moving average
+ */
+function sma(values, period) {
+  const out = new Array(values.length).fill(null);
+  let sum = 0;
+  for (let i = 0; i < values.length; i++) {
+    sum += values[i];
+    if (i >= period) sum -= values[i - period];
+    if (i >= period - 1) out[i] = sum / period;
+  }
+  return out;
+}
+
+/**
+ * Exponential moving average (k = 2 / (period + 1), seeded with the first SMA)
+ */
+function ema(values, period) {
+  const out = new Array(values.length).fill(null);
+  if (values.length < period) return out;
+  const k = 2 / (period + 1);
+  let prev = mean(values.slice(0, period));
+  out[period - 1] = prev;
+  for (let i = period; i < values.length; i++) {
+    prev = values[i] * k + prev * (1 - k);
+    out[i] = prev;
+  }
+  return out;
+}
+
+/**
+ * Wilder smoothing (RMA): seed with the SMA, then prev + (x - prev) / period
+ * Null inputs before the first value are skipped.
+ */
+function wilder(values, period) {
+  const out = new Array(values.length).fill(null);
+  const start = values.findIndex(v => v !== null && v !== undefined);
+  if (start === -1 || values.length - start < period) return out;
+  let prev = mean(values.slice(start, start + period));
+  out[start + period - 1] = prev;
+  for (let i = start + period; i < values.length; i++) {
+    prev = prev + (values[i] - prev) / period;
+    out[i] = prev;
+  }
+  return out;
+}
+
+/**
+ * Rolling population standard deviation
+ */
+function stdDev(values, period) {
+  const out = new Array(values.length).fill(null);
+  for (let i = period - 1; i < values.length; i++) {
+    out[i] = stdDevOf(values.slice(i - period + 1, i + 1));
+  }
+  return out;
+}
+
+/**
+ * Z-score of the latest value against the last `period` values
+ * @returns {number|null}
+ */
+function zScore(values, period = values.length) {
+  if (values.length < period || period < 2) return null;
+  const window = values.slice(-period);
+  const sd = stdDevOf(window);
+  return sd > 0 ? (values[values.length - 1] - mean(window)) / sd : 0;
+}
+
+/**
+ * Relative Strength Index with Wilder smoothing
+ */
+function rsi(values, period = 14) {
+  const out = new Array(values.length).fill(null);
+  if (values.length <= period) return out;
+
+  let avgGain = 0;
+  let avgLoss = 0;
+  for (let i = 1; i <= period; i++) {
+    const diff = values[i] - values[i - 1];
+    if (diff > 0) avgGain += diff;
+    else avgLoss -= diff;
+  }
+  avgGain /= period;
+  avgLoss /= period;
+
+  const value = () => (avgLoss === 0 ? (avgGain === 0 ? 50 : 100) : 100 - 100 / (1 + avgGain / avgLoss));
+  out[period] = value();
+
+  for (let i = period + 1; i < values.length; i++) {
+    const diff = values[i] - values[i - 1];
+    avgGain = (avgGain * (period - 1) + Math.max(diff, 0)) / period;
+    avgLoss = (avgLoss * (period - 1) + Math.max(-diff, 0)) / period;
+    out[i] = value();
+  }
+  return out;
+}
+
+/**
+ * MACD: fast EMA - slow EMA, signal = EMA of MACD, histogram = MACD - signal
+ * @returns {{ macd: number[], signal: number[], histogram: number[] }}
+ */
+function macd(values, fast = 12, slow = 26, signalPeriod = 9) {
+  const fastEma = ema(values, fast);
+  const slowEma = ema(values, slow);
+  const line = values.map((_, i) => (fastEma[i] !== null && slowEma[i] !== null ? fastEma[i] - slowEma[i] : null));
+
+  const start = line.findIndex(v => v !== null);
+  const signal = new Array(values.length).fill(null);
+  if (start !== -1) {
+    const sig = ema(line.slice(start), signalPeriod);
+    sig.forEach((v, i) => { signal[start + i] = v; });
+  }
+  const histogram = line.map((v, i) => (v !== null && signal[i] !== null ? v - signal[i] : null));
+  return { macd: line, signal, histogram };
+}
+
+/**
+ * Bollinger Bands: SMA +/- mult x population stdDev
+ * @returns {{ middle: number[], upper: number[], lower: number[] }}
+ */
+function bollinger(values, period = 20, mult = 2) {
+  const middle = sma(values, period);
+  const sd = stdDev(values, period);
+  return {
+    middle,
+    upper: middle.map((m, i) => (m === null ? null : m + mult * sd[i])),
+    lower: middle.map((m, i) => (m === null ? null : m - mult * sd[i]))
+  };
+}
+
+/**
+ * True range: max(high - low, |high - prev close|, |low - prev close|)
+ */
+function trueRange(candles) {
+  return candles.map((c, i) => {
+    if (i === 0) return c.high - c.low;
+    const prevClose = candles[i - 1].close;
+    return Math.max(c.high - c.low, Math.abs(c.high - prevClose), Math.abs(c.low - prevClose));
+  });
+}
+
+/**
+ * Average true range (Wilder); the first bar's range has no previous close and is skipped
+ */
+function atr(candles, period = 14) {
+  const tr = trueRange(candles);
+  tr[0] = null;
+  return wilder(tr, period);
+}
+
+/**
+ * Average directional index with +DI / -DI (Wilder)
+ * @returns {{ adx: number[], plusDI: number[], minusDI: number[] }}
+ */
+function adx(candles, period = 14) {
+  const n = candles.length;
+  const plusDM = new Array(n).fill(null);
+  const minusDM = new Array(n).fill(null);
+  const tr = trueRange(candles);
+  tr[0] = null;
+
+  for (let i = 1; i < n; i++) {
+    const up = candles[i].high - candles[i - 1].high;
+    const down = candles[i - 1].low - candles[i].low;
+    plusDM[i] = up > down && up > 0 ? up : 0;
+    minusDM[i] = down > up && down > 0 ? down : 0;
+  }
+
+  const atrS = wilder(tr, period);
+  const plusS = wilder(plusDM, period);
+  const minusS = wilder(minusDM, period);
+
+  // No range at all (a flat series) means no directional movement: DI 0, not a division by zero
+  const plusDI = atrS.map((a, i) => (a === null ? null : a > 0 ? 100 * plusS[i] / a : 0));
+  const minusDI = atrS.map((a, i) => (a === null ? null : a > 0 ? 100 * minusS[i] / a : 0));
+  const dx = plusDI.map((p, i) => {
+    if (p === null || minusDI[i] === null) return null;
+    const sum = p + minusDI[i];
+    return sum > 0 ? 100 * Math.abs(p - minusDI[i]) / sum : 0;
+  });
+
+  return { adx: wilder(dx, period), plusDI, minusDI };
+}
+
+/**
+ * Volume-weighted average price over the series, on typical price (H + L + C) / 3
+ * Bars without volume carry the previous VWAP forward.
+ */
+function vwap(candles) {
+  let pv = 0;
+  let vol = 0;
+  return candles.map(c => {
+    pv += ((c.high + c.low + c.close) / 3) * (c.volume || 0);
+    vol += c.volume || 0;
+    return vol > 0 ? pv / vol : null;
+  });
+}
+
+/**
+ * Donchian channel: highest high / lowest low of the previous `period` bars
+ * (the current bar is excluded, so a close above `upper` is a breakout)
+ * @returns {{ upper: number[], lower: number[], middle: number[] }}
+ */
+function donchian(candles, period = 20) {
+  const n = candles.length;
+  const upper = new Array(n).fill(null);
+  const lower = new Array(n).fill(null);
+  for (let i = period; i < n; i++) {
+    const window = candles.slice(i - period, i);
+    upper[i] = Math.max(...window.map(c => c.high));
+    lower[i] = Math.min(...window.map(c => c.low));
+  }
+  return { upper, lower, middle: upper.map((u, i) => (u === null ? null : (u + lower[i]) / 2)) };
+}
+
+/**
+ * Simple returns: values[i] / values[i - 1] - 1
+ */
+function returns(values) {
+  const out = [];
+  for (let i = 1; i < values.length; i++) out.push(values[i] / values[i - 1] - 1);
+  return out;
+}
+
+/**
+ * Pearson correlation of two equal-length series
+ * @returns {number|null}
+ */
+function correlation(a, b) {
+  const n = Math.min(a.length, b.length);
+  if (n < 2) return null;
+  const ma = mean(a.slice(0, n));
+  const mb = mean(b.slice(0, n));
+  let cov = 0, va = 0, vb = 0;
+  for (let i = 0; i < n; i++) {
+    cov += (a[i] - ma) * (b[i] - mb);
+    va += (a[i] - ma) ** 2;
+    vb += (b[i] - mb) ** 2;
+  }
+  return va > 0 && vb > 0 ? cov / Math.sqrt(va * vb) : null;
+}
+
+/**
+ * Correlation over a sliding window of `period` values
+ */
+function rollingCorrelation(a, b, period) {
+  const n = Math.min(a.length, b.length);
+  const out = new Array(n).fill(null);
+  for (let i = period - 1; i < n; i++) {
+    out[i] = correlation(a.slice(i - period + 1, i + 1), b.slice(i - period + 1, i + 1));
+  }
+  return out;
+}
+
+/**
+ * Regression beta of a on b: cov(a, b) / var(b)
+ * @returns {number|null}
+ */
+function beta(a, b) {
+  const n = Math.min(a.length, b.length);
+  if (n < 2) return null;
+  const ma = mean(a.slice(0, n));
+  const mb = mean(b.slice(0, n));
+  let cov = 0, vb = 0;
+  for (let i = 0; i < n; i++) {
+    cov += (a[i] - ma) * (b[i] - mb);
+    vb += (b[i] - mb) ** 2;
+  }
+  return vb > 0 ? cov / vb : null;
+}
+
+module.exports = {
+  last, mean, sma, ema, wilder, stdDev, zScore, rsi, macd, bollinger,
+  trueRange, atr, adx, vwap, donchian, returns, correlation, rollingCorrelation, beta
+};
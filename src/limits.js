@@ -0,0 +1,159 @@
+/**
+ * Loss limits - daily / rolling-24h realized loss caps and a losing-streak rule
+ *
+ * Unlike the kill switch, these pause new entries for a while and clear on
+ * their own:
+ *   - daily (UTC) loss: paused until the next UTC midnight (at least pauseMinutes)
+ *   - rolling 24h loss / consecutive losses: paused for pauseMinutes, then
+ *     re-checked; a losing streak counts only trades closed after the pause
+ *
+ * Realized PnL includes partial closes, timed by when each tranche was sold.
+ */
+const config = require('../config.json');
+const { getState, saveState } = require('./state');
+const { writeAlert } = require('./alerts');
+const { now } = require('./utils');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Realized PnL events { ts, pnl } from closed trades and partial closes
+ */
+function realizedEvents() {
+  const state = getState();
+  const events = [];
+
+  for (const trade of state.closedTrades) {
+    for (const part of trade.partialCloses || []) {
+      events.push({ ts: Date.parse(part.closedAt), pnl: part.pnl });
+    }
+    events.push({ ts: Date.parse(trade.closedAt), pnl: trade.pnl - (trade.realizedPnl || 0) });
+  }
+  for (const pos of state.positions) {
+    for (const part of pos.partialCloses || []) {
+      events.push({ ts: Date.parse(part.closedAt), pnl: part.pnl });
+    }
+  }
+  return events;
+}
+
+/** Limit in USD from a % of initial capital and/or an absolute USD cap (tighter wins) */
+function limitUsd(percent, usd) {
+  const limits = [];
+  if (percent) limits.push(getState().initialCapital * Math.abs(percent) / 100);
+  if (usd) limits.push(Math.abs(usd));
+  return limits.length ? Math.min(...limits) : null;
+}
+
+/**
+ * Check every rule against current realized PnL
+ * @returns {{ rule: string, message: string, value: number, limit: number, resumeAt: number } | null}
+ */
+function findBreach() {
+  const cfg = config.risk.lossLimits || {};
+  const state = getState();
+  const t = now();
+  const pauseMs = (cfg.pauseMinutes || 240) * 60 * 1000;
+  const events = realizedEvents();
+
+  const dayStart = Math.floor(t / DAY_MS) * DAY_MS;
+  const dailyLimit = limitUsd(cfg.dailyLossPercent, cfg.dailyLossUsd);
+  if (dailyLimit) {
+    const daily = events.filter(e => e.ts >= dayStart).reduce((sum, e) => sum + e.pnl, 0);
+    if (daily <= -dailyLimit) {
+      return {
+        rule: 'daily',
+        message: `Daily loss $${daily.toFixed(2)} hit limit -$${dailyLimit.toFixed(2)}`,
+        value: daily, limit: -dailyLimit,
+        resumeAt: Math.max(dayStart + DAY_MS, t + pauseMs)
+      };
+    }
+  }
+
+  const rollingLimit = limitUsd(cfg.rolling24hLossPercent, cfg.rolling24hLossUsd);
+  if (rollingLimit) {
+    const rolling = events.filter(e => e.ts >= t - DAY_MS).reduce((sum, e) => sum + e.pnl, 0);
+    if (rolling <= -rollingLimit) {
+      return {
+        rule: 'rolling24h',
+        message: `Rolling 24h loss $${rolling.toFixed(2)} hit limit -$${rollingLimit.toFixed(2)}`,
+        value: rolling, limit: -rollingLimit,
+        resumeAt: t + pauseMs
+      };
+    }
+  }
+
+  if (cfg.maxConsecutiveLosses) {
+    const since = state.lossStreakResetAt ? Date.parse(state.lossStreakResetAt) : 0;
+    const trades = state.closedTrades
+      .filter(tr => Date.parse(tr.closedAt) > since)
+      .sort((a, b) => Date.parse(b.closedAt) - Date.parse(a.closedAt));
+    let streak = 0;
+    for (const trade of trades) {
+      if (trade.pnl > 0) break;
+      streak++;
+    }
+    if (streak >= cfg.maxConsecutiveLosses) {
+      return {
+        rule: 'consecutiveLosses',
+        message: `${streak} consecutive losing trades (max ${cfg.maxConsecutiveLosses})`,
+        value: streak, limit: cfg.maxConsecutiveLosses,
+        resumeAt: t + pauseMs
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Gate for new entries: trips, extends or clears the loss-limit pause
+ * @returns {{ allowed: boolean, reason?: string }}
+ */
+function checkLossLimits() {
+  if (!config.risk.lossLimits?.enabled) return { allowed: true };
+
+  const state = getState();
+  const t = now();
+  const active = state.lossLimit;
+
+  if (active) {
+    if (t < Date.parse(active.pausedUntil)) {
+      return { allowed: false, reason: `Loss limit (${active.rule}) — paused until ${active.pausedUntil}` };
+    }
+
+    // Pause over: a losing streak starts counting afresh, other rules re-check their window
+    if (active.rule === 'consecutiveLosses') state.lossStreakResetAt = new Date(t).toISOString();
+    const stillBreached = findBreach();
+    if (stillBreached) {
+      active.pausedUntil = new Date(stillBreached.resumeAt).toISOString();
+      active.rule = stillBreached.rule;
+      active.message = stillBreached.message;
+      saveState();
+      console.log(`[LIMITS] ${stillBreached.message} — still paused until ${active.pausedUntil}`);
+      return { allowed: false, reason: `Loss limit (${active.rule}) — paused until ${active.pausedUntil}` };
+    }
+
+    state.lossLimit = null;
+    saveState();
+    writeAlert('PORTFOLIO_UPDATE', `Loss limit cleared (${active.rule}) — trading resumed`, { cleared: active });
+    return { allowed: true };
+  }
+
+  const breach = findBreach();
+  if (!breach) return { allowed: true };
+
+  state.lossLimit = {
+    rule: breach.rule,
+    message: breach.message,
+    value: Number(breach.value.toFixed(4)),
+    limit: Number(breach.limit.toFixed(4)),
+    trippedAt: new Date(t).toISOString(),
+    pausedUntil: new Date(breach.resumeAt).toISOString()
+  };
+  saveState();
+  writeAlert('ERROR', `LOSS LIMIT TRIPPED: ${breach.message} — pausing entries until ${state.lossLimit.pausedUntil}`, state.lossLimit);
+  return { allowed: false, reason: `Loss limit (${breach.rule}) — paused until ${state.lossLimit.pausedUntil}` };
+}
+
+module.exports = { checkLossLimits, findBreach, realizedEvents };
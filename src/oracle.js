@@ -0,0 +1,233 @@
+/**
+ * Price oracle - median of several price sources with outlier and staleness rejection
+ *
+ * Each source is an adapter: async (mint, ctx) => { price, ts? } | null, where
+ * null means the source doesn't cover this mint (no API key, no Pyth feed,
+ * Drift client not subscribed) and a throw counts as a failed quote. Sources
+ * with a batch endpoint are { many: async (mints, ctx) => { [mint]: quote } }
+ * instead, so getPrices() costs one call per chunk of mints. Quotes
+ * older than maxAgeSeconds or further than maxDeviationPercent from the
+ * median are rejected.
+ *
+ * Confidence (0-1) = share of answering sources that agree, scaled down when
+ * fewer than minSources agree: 0.75 if the lone price is in line with this
+ * mint's previous price, 0.4 if it jumped. Stops, take-profits, ladders and
+ * grid levels don't act on an untrusted quote (see isTrusted).
+ *
+ * setAdapter() swaps a source for a local mock. Settings: config.oracle.
+ */
+const config = require('../config.json');
+const { safeFetch, now } = require('./utils');
+const { recordPricePoll } = require('./recorder');
+
+const DEFAULTS = {
+  sources: ['dexscreener', 'jupiter', 'birdeye', 'pyth', 'drift'],
+  maxAgeSeconds: 60,          // quotes older than this are stale
+  maxDeviationPercent: 2,     // quotes further than this from the median are outliers
+  minSources: 2,              // agreeing sources needed for full confidence
+  minConfidence: 0.5,         // below this (with fewer than minSources) SL/TP won't fire
+  continuityMinutes: 5,       // a lone price is checked against this mint's last price within this window
+  timeoutMs: 5000,
+  pythFeeds: {}               // mint -> Pyth price feed id
+};
+
+function settings() {
+  return { ...DEFAULTS, ...config.oracle };
+}
+
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size));
+  return chunks;
+}
+
+// DexScreener: up to 30 comma-separated mints per call, highest-liquidity pair per mint
+async function dexscreener(mints, { timeoutMs }) {
+  const quotes = {};
+  const best = {};
+  for (const batch of chunk(mints, 30)) {
+    const data = await safeFetch(`${config.apis.dexscreener}/tokens/v1/solana/${batch.join(',')}`, {}, timeoutMs);
+    for (const pair of Array.isArray(data) ? data : []) {
+      const mint = pair.baseToken?.address;
+      if (!mint || (best[mint] && (best[mint].liquidity?.usd || 0) >= (pair.liquidity?.usd || 0))) continue;
+      best[mint] = pair;
+      quotes[mint] = { price: parseFloat(pair.priceUsd || 0) };
+    }
+  }
+  return quotes;
+}
+
+// Jupiter price API: up to 50 ids per call
+async function jupiter(mints, { timeoutMs }) {
+  const quotes = {};
+  for (const batch of chunk(mints, 50)) {
+    const data = await safeFetch(`${config.apis.jupiterPrice}?ids=${batch.join(',')}`, {}, timeoutMs);
+    for (const mint of batch) {
+      if (data?.[mint]) quotes[mint] = { price: Number(data[mint].usdPrice) };
+    }
+  }
+  return quotes;
+}
+
+async function birdeye(mint, { timeoutMs }) {
+  if (!process.env.BIRDEYE_API_KEY) return null;
+  const data = await safeFetch(`${config.apis.birdeye}/defi/price?address=${mint}`, {
+    headers: { 'X-API-KEY': process.env.BIRDEYE_API_KEY, 'x-chain': 'solana' }
+  }, timeoutMs);
+  if (!data?.success || !data.data) return null;
+  return { price: Number(data.data.value), ts: data.data.updateUnixTime * 1000 };
+}
+
+async function pyth(mint, { timeoutMs, pythFeeds }) {
+  const feed = pythFeeds[mint];
+  if (!feed) return null;
+  const data = await safeFetch(`${config.apis.pyth}/v2/updates/price/latest?ids[]=${feed}&parsed=true`, {}, timeoutMs);
+  const quote = data?.parsed?.[0]?.price;
+  if (!quote) return null;
+  return { price: Number(quote.price) * 10 ** quote.expo, ts: quote.publish_time * 1000 };
+}
+
+async function drift(mint, { market }) {
+  // Required lazily, as in prices.js and portfolio.js: the Drift SDK is heavy and only the live daemon subscribes a client
+  const { getOraclePrice, PERP_PRICE_MINTS } = require('./drift');
+  const perp = market || Object.keys(PERP_PRICE_MINTS).find(m => PERP_PRICE_MINTS[m] === mint);
+  const quote = perp ? getOraclePrice(perp) : null;
+  return quote ? { price: quote.price } : null;
+}
+
+const BUILTIN = { dexscreener: { many: dexscreener }, jupiter: { many: jupiter }, birdeye, pyth, drift };
+const overrides = new Map();
+
+// mint -> { price, ts } of the last aggregate, for the lone-source continuity check
+const lastPrices = new Map();
+
+/**
+ * Replace a source with another adapter (e.g. a mock in tests); null restores the built-in
+ * @param {string} name - Source name
+ * @param {function|object|null} adapter - async (mint, ctx) => { price, ts? } | null, or { many }
+ */
+function setAdapter(name, adapter) {
+  if (adapter) overrides.set(name, adapter);
+  else overrides.delete(name);
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Ask one source for every mint
+ * @returns {Promise<Array<{ status: string, value?: object, reason?: Error }>>} One settled quote per request
+ */
+async function querySource(adapter, requests, cfg) {
+  if (adapter.many) {
+    try {
+      const quotes = await adapter.many(requests.map(r => r.mint), cfg);
+      return requests.map(r => ({ status: 'fulfilled', value: quotes[r.mint] || null }));
+    } catch (err) {
+      return requests.map(() => ({ status: 'rejected', reason: err }));
+    }
+  }
+  return Promise.allSettled(requests.map(({ mint, ...ctx }) => adapter(mint, { ...cfg, ...ctx })));
+}
+
+/**
+ * Combine one mint's settled quotes (one per source) into a price
+ */
+function aggregate(mint, names, settled, cfg) {
+  const ts = now();
+  const rejected = [];
+  const fresh = [];
+  let answered = 0;
+
+  settled.forEach((r, i) => {
+    const source = names[i];
+    if (r.status === 'rejected') {
+      rejected.push({ source, reason: 'error', errorType: r.reason?.name, error: r.reason?.message });
+      return;
+    }
+    const quote = r.value;
+    if (!quote) return; // source doesn't cover this mint
+    answered++;
+    if (!(quote.price > 0) || !Number.isFinite(quote.price)) {
+      rejected.push({ source, reason: 'invalid', price: quote.price });
+    } else if (quote.ts && ts - quote.ts > cfg.maxAgeSeconds * 1000) {
+      rejected.push({ source, reason: 'stale', price: quote.price, ageSeconds: Math.round((ts - quote.ts) / 1000) });
+    } else {
+      fresh.push({ source, price: quote.price });
+    }
+  });
+
+  if (fresh.length === 0) {
+    if (rejected.length) console.log(`[ORACLE] No usable quote for ${mint}: ${rejected.map(r => `${r.source} ${r.reason}`).join(', ')}`);
+    return null;
+  }
+
+  const mid = median(fresh.map(q => q.price));
+  const kept = [];
+  for (const q of fresh) {
+    const deviation = Math.abs(q.price - mid) / mid * 100;
+    if (deviation > cfg.maxDeviationPercent) rejected.push({ ...q, reason: 'outlier', deviation: Number(deviation.toFixed(2)) });
+    else kept.push(q);
+  }
+
+  // Sources disagree with no majority: report the median, but don't trust it
+  const price = kept.length ? median(kept.map(q => q.price)) : mid;
+  let confidence = kept.length / answered;
+  if (kept.length < cfg.minSources) {
+    const prev = lastPrices.get(mint);
+    const continuous = prev && ts - prev.ts <= cfg.continuityMinutes * 60000 &&
+      Math.abs(price - prev.price) / prev.price * 100 <= cfg.maxDeviationPercent;
+    confidence *= kept.length === 0 ? 0 : continuous ? 0.75 : 0.4;
+  }
+  lastPrices.set(mint, { price, ts });
+
+  const result = { price, confidence: Number(confidence.toFixed(2)), sources: kept.map(q => q.source), rejected, ts };
+  if (rejected.some(r => r.reason === 'outlier' || r.reason === 'stale')) {
+    console.log(`[ORACLE] ${mint.slice(0, 8)} $${price} (conf ${result.confidence}) rejected: ${rejected.map(r => `${r.source} ${r.reason}${r.price ? ` $${r.price}` : ''}`).join(', ')}`);
+  }
+  recordPricePoll(mint, { price, confidence: result.confidence, sources: result.sources });
+  return result;
+}
+
+/**
+ * Aggregate prices for several mints, batching the sources that support it
+ * @param {Array<{ mint: string, market?: string }>} requests - market is set for Drift shorts
+ * @returns {Promise<Map<string, object|null>>} mint -> getPrice() result (null when no source answered)
+ */
+async function getPrices(requests) {
+  const cfg = settings();
+  const names = cfg.sources.filter(name => overrides.has(name) || BUILTIN[name]);
+  const bySource = await Promise.all(names.map(name => querySource(overrides.get(name) || BUILTIN[name], requests, cfg)));
+
+  const results = new Map();
+  requests.forEach(({ mint }, i) => {
+    results.set(mint, aggregate(mint, names, bySource.map(settled => settled[i]), cfg));
+  });
+  return results;
+}
+
+/**
+ * Aggregate price for a mint
+ * @param {string} mint - Token mint
+ * @param {object} [ctx] - { market } for Drift shorts
+ * @returns {Promise<{ price: number, confidence: number, sources: string[], rejected: object[], ts: number } | null>}
+ *   null when no source answered
+ */
+async function getPrice(mint, ctx = {}) {
+  return (await getPrices([{ mint, ...ctx }])).get(mint);
+}
+
+/**
+ * True if a quote may trigger stops and other price-driven actions:
+ * minSources sources agree, or confidence is at least minConfidence (no quote = not trusted)
+ */
+function isTrusted(quote) {
+  if (!quote) return false;
+  const cfg = settings();
+  return quote.sources.length >= cfg.minSources || quote.confidence >= cfg.minConfidence;
+}
+
+module.exports = { getPrice, getPrices, isTrusted, setAdapter, median };
@@ -0,0 +1,228 @@
+/**
+ * Paper trading venue - simulated exchange for dry-run mode
+ *
+ * Fills swaps and Drift shorts against the current market price with:
+ *   - random slippage up to slippageBps
+ *   - price impact that grows with trade size vs pool liquidity
+ *   - swap fee (spot) / taker fee (perps)
+ *   - priority fee per transaction (charged even when the tx fails)
+ *   - random failed transactions and confirmation latency
+ *
+ * Keeps its own USDC / token / short balances in a "book" object so that a
+ * sell can never return more than was bought. Token amounts (in and out, and
+ * in the book) are raw base units, like Jupiter quotes.
+ */
+const config = require('../config.json');
+const { sleep } = require('./utils');
+
+const paperConfig = config.paper || {};
+
+const DEFAULT_OPTIONS = {
+  slippageBps: 30,            // max random slippage
+  impactFactor: 1,            // 1 = constant-product pool approximation
+  swapFeeBps: 25,             // DEX swap fee
+  perpFeeBps: 10,             // Drift taker fee
+  priorityFeeUsdc: 0.002,     // priority + base fee per tx, in USD
+  failureRate: 0.02,          // share of transactions that fail
+  latencyMs: [400, 1500]      // confirmation latency range
+};
+
+/**
+ * Create a paper venue
+ * @param {object} deps
+ * @param {function} deps.getPrice - async (mint) => { price, liquidity } | null
+ * @param {function} deps.getDecimals - async (mint) => token decimals
+ * @param {object} deps.book - Balance book { usdc, tokens: { mint: raw }, shorts: {}, feesPaid }, mutated in place
+ * @param {function} [deps.save] - Called after every balance change
+ * @param {object} [deps.options] - Overrides for DEFAULT_OPTIONS
+ * @param {function} [deps.random] - RNG returning [0, 1), swap in a seeded one for replays
+ * @param {function} [deps.wait] - async (ms) delay, no-op for replays
+ * @param {function} [deps.log] - Fill log output
+ */
+function createPaperVenue({ getPrice, getDecimals, book, save = () => {}, options = {}, random = Math.random, wait = sleep, log = console.log }) {
+  const opts = { ...DEFAULT_OPTIONS, ...paperConfig, ...options };
+  book.tokens = book.tokens || {};
+  book.shorts = book.shorts || {};
+  book.feesPaid = book.feesPaid || 0;
+
+  const txId = (kind) => `paper-${kind}-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`;
+
+  /** Pay the tx fee, wait for "confirmation", then decide whether the tx landed */
+  async function submit() {
+    const [minMs, maxMs] = opts.latencyMs;
+    await wait(minMs + random() * (maxMs - minMs));
+
+    book.usdc -= opts.priorityFeeUsdc;
+    book.feesPaid += opts.priorityFeeUsdc;
+    return random() >= opts.failureRate;
+  }
+
+  /** Fractional price move against us: random slippage + size-driven impact */
+  function adverseMove(sizeUsdc, liquidity) {
+    const slippage = random() * opts.slippageBps / 10000;
+    const impact = liquidity > 0 ? opts.impactFactor * (2 * sizeUsdc / liquidity) : 0.05;
+    return slippage + impact;
+  }
+
+  function failed(error) {
+    save();
+    return { success: false, error, feeUsdc: opts.priorityFeeUsdc, simulated: true };
+  }
+
+  /**
+   * Buy a token with USDC (amountUsdc includes the priority fee)
+   * @returns {object} { success, txId, outputAmount, price, feeUsdc, simulated }
+   */
+  async function buy(mint, amountUsdc, symbol) {
+    if (book.usdc < amountUsdc) {
+      return { success: false, error: `Insufficient paper USDC: $${book.usdc.toFixed(2)} < $${amountUsdc.toFixed(2)}`, simulated: true };
+    }
+
+    const quote = await getPrice(mint);
+    if (!quote || !quote.price) return { success: false, error: 'No price available', simulated: true };
+    const decimals = await getDecimals(mint);
+
+    if (!(await submit())) return failed('Simulated transaction failure');
+
+    const swapUsdc = amountUsdc - opts.priorityFeeUsdc;
+    const swapFee = swapUsdc * opts.swapFeeBps / 10000;
+    const fillPrice = quote.price * (1 + adverseMove(swapUsdc, quote.liquidity));
+    const tokens = (swapUsdc - swapFee) / fillPrice;
+    const rawAmount = Math.floor(tokens * 10 ** decimals);
+
+    book.usdc -= swapUsdc;
+    book.feesPaid += swapFee;
+    book.tokens[mint] = (book.tokens[mint] || 0) + rawAmount;
+    save();
+
+    log(`[PAPER] BUY ${symbol}: $${amountUsdc.toFixed(2)} -> ${tokens.toFixed(4)} @ $${fillPrice.toFixed(6)} (mid $${quote.price.toFixed(6)})`);
+    return {
+      success: true,
+      txId: txId('buy'),
+      outputAmount: String(rawAmount),
+      price: fillPrice,
+      feeUsdc: swapFee + opts.priorityFeeUsdc,
+      simulated: true
+    };
+  }
+
+  /**
+   * Sell a raw token amount for USDC (usdcReceived is net of fees)
+   * @returns {object} { success, txId, usdcReceived, price, feeUsdc, simulated }
+   */
+  async function sell(mint, amount, symbol) {
+    const held = book.tokens[mint] || 0;
+    if (Number(amount) > held * 1.000001) {
+      return { success: false, error: `Insufficient paper balance for ${symbol}: ${held} < ${amount} (raw)`, simulated: true };
+    }
+    const decimals = await getDecimals(mint);
+    const tokens = Number(amount) / 10 ** decimals;
+
+    const quote = await getPrice(mint);
+    if (!quote || !quote.price) return { success: false, error: 'No price available', simulated: true };
+
+    if (!(await submit())) return failed('Simulated transaction failure');
+
+    const fillPrice = quote.price * (1 - adverseMove(tokens * quote.price, quote.liquidity));
+    const gross = tokens * fillPrice;
+    const swapFee = gross * opts.swapFeeBps / 10000;
+    const usdcReceived = gross - swapFee - opts.priorityFeeUsdc;
+
+    book.tokens[mint] = Math.max(0, held - Number(amount));
+    if (book.tokens[mint] === 0) delete book.tokens[mint];
+    book.usdc += gross - swapFee;
+    book.feesPaid += swapFee;
+    save();
+
+    log(`[PAPER] SELL ${symbol}: ${tokens.toFixed(4)} -> $${usdcReceived.toFixed(2)} @ $${fillPrice.toFixed(6)} (mid $${quote.price.toFixed(6)})`);
+    return {
+      success: true,
+      txId: txId('sell'),
+      usdcReceived,
+      price: fillPrice,
+      feeUsdc: swapFee + opts.priorityFeeUsdc,
+      simulated: true
+    };
+  }
+
+  /**
+   * Open a short: sells base at a worse-than-mid price, posts sizeUsdc (incl. fees) as collateral
+   * @param {string} priceMint - Spot mint used to price the perp
+   * @returns {object} { success, txId, entryPrice, baseAmount, feeUsdc, simulated }
+   */
+  async function openShort(market, sizeUsdc, leverage, priceMint) {
+    if (book.usdc < sizeUsdc) {
+      return { success: false, error: `Insufficient paper USDC: $${book.usdc.toFixed(2)} < $${sizeUsdc.toFixed(2)}`, simulated: true };
+    }
+
+    const quote = priceMint ? await getPrice(priceMint) : null;
+    if (!quote || !quote.price) return { success: false, error: `No price available for ${market}`, simulated: true };
+
+    if (!(await submit())) return failed('Simulated transaction failure');
+
+    const notional = sizeUsdc * leverage;
+    const entryPrice = quote.price * (1 - adverseMove(notional, quote.liquidity));
+    const fee = notional * opts.perpFeeBps / 10000;
+    const baseAmount = notional / entryPrice;
+
+    // Fees come out of the posted collateral so the position's cost stays sizeUsdc
+    const existing = book.shorts[market] || { baseAmount: 0, collateral: 0, entryPrice };
+    const totalBase = existing.baseAmount + baseAmount;
+    book.shorts[market] = {
+      baseAmount: totalBase,
+      collateral: existing.collateral + sizeUsdc - opts.priorityFeeUsdc - fee,
+      entryPrice: (existing.entryPrice * existing.baseAmount + entryPrice * baseAmount) / totalBase
+    };
+    book.usdc -= sizeUsdc - opts.priorityFeeUsdc;
+    book.feesPaid += fee;
+    save();
+
+    log(`[PAPER] SHORT ${market}: $${notional.toFixed(2)} notional @ $${entryPrice.toFixed(4)} (mid $${quote.price.toFixed(4)})`);
+    return { success: true, txId: txId('short'), entryPrice, baseAmount, feeUsdc: fee + opts.priorityFeeUsdc, simulated: true };
+  }
+
+  /**
+   * Buy back (part of) a short and release its collateral plus PnL
+   * @returns {object} { success, txId, exitPrice, usdcReceived, feeUsdc, simulated }
+   */
+  async function closeShort(market, baseAmount, priceMint) {
+    const short = book.shorts[market];
+    if (!short || short.baseAmount <= 0) {
+      return { success: false, error: `No paper short open on ${market}`, simulated: true };
+    }
+
+    const quote = priceMint ? await getPrice(priceMint) : null;
+    if (!quote || !quote.price) return { success: false, error: `No price available for ${market}`, simulated: true };
+
+    if (!(await submit())) return failed('Simulated transaction failure');
+
+    const closeBase = Math.min(baseAmount, short.baseAmount);
+    const fraction = closeBase / short.baseAmount;
+    const exitPrice = quote.price * (1 + adverseMove(closeBase * quote.price, quote.liquidity));
+    const fee = closeBase * exitPrice * opts.perpFeeBps / 10000;
+    const collateral = short.collateral * fraction;
+    const pnl = (short.entryPrice - exitPrice) * closeBase;
+    const usdcReceived = Math.max(0, collateral + pnl - fee);
+
+    short.baseAmount -= closeBase;
+    short.collateral -= collateral;
+    if (short.baseAmount <= 1e-12) delete book.shorts[market];
+    book.usdc += usdcReceived;
+    book.feesPaid += fee;
+    save();
+
+    log(`[PAPER] CLOSE SHORT ${market}: ${closeBase.toFixed(4)} @ $${exitPrice.toFixed(4)} -> $${usdcReceived.toFixed(2)}`);
+    return {
+      success: true,
+      txId: txId('close'),
+      exitPrice,
+      usdcReceived: usdcReceived - opts.priorityFeeUsdc,
+      feeUsdc: fee + opts.priorityFeeUsdc,
+      simulated: true
+    };
+  }
+
+  return { name: 'paper', book, buy, sell, openShort, closeShort };
+}
+
+module.exports = { createPaperVenue, DEFAULT_OPTIONS };
@@ -0,0 +1,157 @@
+/**
+ * Strategy performance - rolling stats per strategy from closedTrades
+ *
+ * Stats cover the last config.performance.window trades of each strategy:
+ * win rate, expectancy ($ and % per trade), profit factor, average hold time
+ * and a breakdown by exit reason.
+ *
+ * The optional guard acts once a strategy has at least guard.minTrades in the
+ * window and its expectancy is negative:
+ *   - "pause":  no new entries for pauseHours, then the window restarts from
+ *               the resume time (old losers don't re-trip it)
+ *   - "reduce": capitalShare is multiplied by reduceFactor until expectancy
+ *               is back to >= 0
+ * Guard state lives under strategyGuards in state.json.
+ */
+const config = require('../config.json');
+const { getState, saveState } = require('./state');
+const { writeAlert } = require('./alerts');
+const { now } = require('./utils');
+
+function performanceConfig() {
+  return config.performance || {};
+}
+
+/**
+ * Rolling stats for one strategy
+ * @param {string} strategy - Strategy name
+ * @param {object} [opts] - { window: max trades, since: only trades closed after this ISO time }
+ * @returns {{ trades: number, wins: number, winRate: number, expectancy: number, expectancyPercent: number,
+ *             profitFactor: number, avgHoldHours: number, totalPnl: number, byReason: object }}
+ */
+function strategyStats(strategy, opts = {}) {
+  const window = opts.window ?? performanceConfig().window ?? 30;
+  const since = opts.since ? Date.parse(opts.since) : 0;
+  const trades = getState().closedTrades
+    .filter(t => (t.strategy || 'momentum') === strategy && Date.parse(t.closedAt) > since)
+    .slice(-window);
+
+  const wins = trades.filter(t => t.pnl > 0);
+  const grossWin = wins.reduce((s, t) => s + t.pnl, 0);
+  const grossLoss = Math.abs(trades.filter(t => t.pnl <= 0).reduce((s, t) => s + t.pnl, 0));
+  const totalPnl = grossWin - grossLoss;
+  const holdMs = trades.reduce((s, t) => s + (Date.parse(t.closedAt) - Date.parse(t.openedAt) || 0), 0);
+
+  const byReason = {};
+  for (const t of trades) {
+    const r = byReason[t.reason || 'UNKNOWN'] = byReason[t.reason || 'UNKNOWN'] || { count: 0, pnl: 0 };
+    r.count++;
+    r.pnl = Number((r.pnl + t.pnl).toFixed(4));
+  }
+
+  const n = trades.length;
+  return {
+    trades: n,
+    wins: wins.length,
+    winRate: n ? Number((wins.length / n * 100).toFixed(1)) : 0,
+    expectancy: n ? Number((totalPnl / n).toFixed(4)) : 0,
+    expectancyPercent: n ? Number((trades.reduce((s, t) => s + t.pnlPercent, 0) / n).toFixed(2)) : 0,
+    profitFactor: grossLoss > 0 ? Number((grossWin / grossLoss).toFixed(2)) : (grossWin > 0 ? Infinity : 0),
+    avgHoldHours: n ? Number((holdMs / n / 3600000).toFixed(2)) : 0,
+    totalPnl: Number(totalPnl.toFixed(4)),
+    byReason
+  };
+}
+
+/**
+ * Rolling stats for every strategy that has traded, with any active guard
+ * @returns {object} { [strategy]: stats & { guard } }
+ */
+function getPerformance() {
+  const state = getState();
+  const names = new Set(state.closedTrades.map(t => t.strategy || 'momentum'));
+  const result = {};
+  for (const name of names) {
+    result[name] = { ...strategyStats(name), guard: state.strategyGuards?.[name] || null };
+  }
+  return result;
+}
+
+/**
+ * One-line summary per strategy for logs
+ */
+function formatPerformance(perf) {
+  return Object.entries(perf).map(([name, s]) => {
+    const pf = s.profitFactor === Infinity ? '∞' : s.profitFactor.toFixed(2);
+    const guard = s.guard ? ` [${s.guard.action.toUpperCase()}]` : '';
+    return `${name}: ${s.trades} trades, ${s.winRate}% win, E $${s.expectancy.toFixed(2)} (${s.expectancyPercent}%), PF ${pf}, hold ${s.avgHoldHours}h${guard}`;
+  });
+}
+
+/**
+ * Evaluate the expectancy guard for a strategy (trips, clears, or leaves it)
+ * @param {string} strategy - Strategy name
+ * @returns {{ allowed: boolean, allocationFactor: number, reason?: string }}
+ */
+function checkStrategyGuard(strategy) {
+  const guardConfig = performanceConfig().guard || {};
+  if (!guardConfig.enabled) return { allowed: true, allocationFactor: 1 };
+
+  const state = getState();
+  state.strategyGuards = state.strategyGuards || {};
+  const guard = state.strategyGuards[strategy];
+  const t = now();
+
+  // Paused: wait out the pause, then restart the window from here
+  if (guard?.action === 'pause') {
+    if (t < Date.parse(guard.until)) {
+      return { allowed: false, allocationFactor: 0, reason: `${strategy} paused by performance guard until ${guard.until}` };
+    }
+    state.strategyResetAt = { ...state.strategyResetAt, [strategy]: new Date(t).toISOString() };
+    delete state.strategyGuards[strategy];
+    saveState();
+    writeAlert('PORTFOLIO_UPDATE', `Strategy ${strategy} resumed after performance pause`, { strategy, cleared: guard });
+    return { allowed: true, allocationFactor: 1 };
+  }
+
+  const stats = strategyStats(strategy, { since: state.strategyResetAt?.[strategy] });
+  const minTrades = guardConfig.minTrades || 20;
+  const failing = stats.trades >= minTrades && stats.expectancy < 0;
+
+  if (guard?.action === 'reduce') {
+    if (stats.expectancy >= 0) {
+      delete state.strategyGuards[strategy];
+      saveState();
+      writeAlert('PORTFOLIO_UPDATE', `Strategy ${strategy} back to full allocation (expectancy $${stats.expectancy.toFixed(2)})`, { strategy, stats });
+      return { allowed: true, allocationFactor: 1 };
+    }
+    return { allowed: true, allocationFactor: guard.factor };
+  }
+
+  if (!failing) return { allowed: true, allocationFactor: 1 };
+
+  const action = guardConfig.action === 'reduce' ? 'reduce' : 'pause';
+  const base = {
+    action,
+    trippedAt: new Date(t).toISOString(),
+    trades: stats.trades,
+    expectancy: stats.expectancy,
+    profitFactor: stats.profitFactor
+  };
+
+  if (action === 'reduce') {
+    const factor = guardConfig.reduceFactor ?? 0.5;
+    state.strategyGuards[strategy] = { ...base, factor };
+    saveState();
+    writeAlert('ERROR', `Strategy ${strategy} allocation cut to ${(factor * 100).toFixed(0)}%: expectancy $${stats.expectancy.toFixed(2)} over ${stats.trades} trades`, state.strategyGuards[strategy]);
+    return { allowed: true, allocationFactor: factor };
+  }
+
+  const until = new Date(t + (guardConfig.pauseHours || 24) * 3600000).toISOString();
+  state.strategyGuards[strategy] = { ...base, until };
+  saveState();
+  writeAlert('ERROR', `Strategy ${strategy} paused until ${until}: expectancy $${stats.expectancy.toFixed(2)} over ${stats.trades} trades`, state.strategyGuards[strategy]);
+  return { allowed: false, allocationFactor: 0, reason: `${strategy} paused by performance guard until ${until}` };
+}
+
+module.exports = { strategyStats, getPerformance, formatPerformance, checkStrategyGuard };
@@ -0,0 +1,94 @@
+/**
+ * Portfolio equity - marks every open position to market and tracks drawdown
+ *
+ * equity = free capital
+ *        + open longs at current price
+ *        + Drift shorts (collateral + unrealized PnL)
+ *        + grid realized PnL + unrealized PnL on grid fills
+ *
+ * Drawdown from peak equity drives the portfolio kill switch. state.json is
+ * written on a new peak or the kill switch, otherwise at most every
+ * EQUITY_SAVE_MS, so the position loop doesn't rewrite it every pass.
+ */
+const config = require('../config.json');
+const { getState, saveState, remainingCost, triggerKillSwitch } = require('./state');
+const { now } = require('./utils');
+
+const EQUITY_SAVE_MS = 60 * 1000;
+let savedAt = 0;
+
+/**
+ * Mark the whole book to market
+ * @param {Map<string, number>} prices - mint -> current price (shorts keyed by priceMint)
+ * @returns {{ equity: number, cash: number, longs: number, shorts: number, grid: number, unpriced: string[] }}
+ */
+function markToMarket(prices) {
+  const state = getState();
+  const unpriced = [];
+  let longs = 0;
+  let shorts = 0;
+  let grid = state.grid?.totalPnl || 0;
+
+  for (const pos of state.positions) {
+    const isShort = pos.strategy === 'driftShort';
+    const price = prices.get(isShort ? (pos.priceMint || config.mints.SOL) : pos.mint);
+    if (!price) unpriced.push(pos.token);
+
+    if (isShort) {
+      // Required here so the Drift SDK only loads when there are shorts
+      shorts += remainingCost(pos) + (price ? require('./drift').getShortPnl(pos, price).pnl : 0);
+    } else {
+      longs += remainingCost(pos) * (price ? price / pos.entryPrice : 1);
+    }
+  }
+
+  // Grid fills: unrealized PnL vs the level they were bought at (grid capital itself is a separate budget)
+  for (const tokenGrid of Object.values(state.grid?.tokens || {})) {
+    for (const buy of tokenGrid.filledBuys || []) {
+      const price = prices.get(tokenGrid.mint) || tokenGrid.lastPrice;
+      if (price) grid += buy.usdcSpent * (price / buy.level - 1);
+    }
+  }
+
+  const cash = state.capitalUsdc;
+  return { equity: cash + longs + shorts + grid, cash, longs, shorts, grid, unpriced };
+}
+
+/**
+ * Recompute equity, update the peak, and fire the kill switch on a drawdown
+ * past config.risk.portfolioKillSwitchPercent (measured from peak equity)
+ * @param {Map<string, number>} prices - mint -> current price
+ * @returns {{ equity: number, peak: number, drawdownPercent: number, killSwitchFired: boolean }}
+ */
+function updateEquity(prices) {
+  const state = getState();
+  const prevPeak = state.equity?.peak;
+  const mtm = markToMarket(prices);
+  const peak = Math.max(state.equity?.peak ?? state.initialCapital, mtm.equity);
+  const drawdownPercent = peak > 0 ? (mtm.equity - peak) / peak * 100 : 0;
+
+  state.equity = {
+    value: Number(mtm.equity.toFixed(4)),
+    peak: Number(peak.toFixed(4)),
+    drawdownPercent: Number(drawdownPercent.toFixed(2)),
+    cash: Number(mtm.cash.toFixed(4)),
+    longs: Number(mtm.longs.toFixed(4)),
+    shorts: Number(mtm.shorts.toFixed(4)),
+    grid: Number(mtm.grid.toFixed(4)),
+    unpriced: mtm.unpriced,
+    updatedAt: new Date(now()).toISOString()
+  };
+
+  let killSwitchFired = false;
+  if (!state.killSwitchTriggered && drawdownPercent <= config.risk.portfolioKillSwitchPercent) {
+    triggerKillSwitch({ reason: `Equity drawdown ${drawdownPercent.toFixed(1)}% from peak $${peak.toFixed(2)}`, equity: state.equity });
+    killSwitchFired = true;
+  } else if (state.equity.peak !== prevPeak || now() - savedAt >= EQUITY_SAVE_MS) {
+    saveState();
+    savedAt = now();
+  }
+
+  return { equity: mtm.equity, peak, drawdownPercent, killSwitchFired };
+}
+
+module.exports = { markToMarket, updateEquity };
@@ -0,0 +1,115 @@
+/**
+ * Price snapshot - one batched oracle refresh for every tracked mint
+ *
+ * Every intervals.priceMs the mints of open positions (Drift shorts by their
+ * price mint) and active grids are priced in one oracle.getPrices() call,
+ * which hits DexScreener and Jupiter once per chunk of mints instead of once
+ * per mint. positionLoop and gridLoop only read the snapshot; a mint whose
+ * last good price is older than prices.maxAgeMs is reported stale and left
+ * alone until the next refresh.
+ */
+const config = require('../config.json');
+const { getState } = require('./state');
+const { getPrices } = require('./oracle');
+const { now } = require('./utils');
+
+// mint -> { price, confidence, sources, quote, at }
+const snapshot = new Map();
+let refreshing = null;
+
+function priceIntervalMs() {
+  return config.intervals.priceMs || config.intervals.positionCheckMs;
+}
+
+function maxAgeMs() {
+  return config.prices?.maxAgeMs || 3 * priceIntervalMs();
+}
+
+/**
+ * Price mint used for a position (shorts are priced from their perp's underlying)
+ */
+function priceMintFor(position) {
+  if (position.strategy !== 'driftShort') return position.mint;
+  // Drift (and its SDK) is only loaded once there is a short to price
+  return position.priceMint || require('./drift').PERP_PRICE_MINTS[position.market] || config.mints.SOL;
+}
+
+/**
+ * Mints to price this pass: open positions and active grids
+ * @returns {Array<{ mint: string, market?: string }>}
+ */
+function trackedMints() {
+  const state = getState();
+  const requests = new Map();
+  for (const pos of state.positions || []) {
+    const mint = priceMintFor(pos);
+    if (!requests.has(mint)) requests.set(mint, pos.strategy === 'driftShort' ? { mint, market: pos.market } : { mint });
+  }
+  for (const [mint, grid] of Object.entries(state.grid?.tokens || {})) {
+    if (grid.active && !requests.has(mint)) requests.set(mint, { mint });
+  }
+  return [...requests.values()];
+}
+
+/**
+ * Refresh the snapshot (concurrent calls share the one in flight)
+ * @returns {Promise<number>} Mints priced
+ */
+function refreshPrices() {
+  if (!refreshing) {
+    refreshing = doRefresh().finally(() => { refreshing = null; });
+  }
+  return refreshing;
+}
+
+async function doRefresh() {
+  const requests = trackedMints();
+
+  // Forget mints no longer tracked
+  const tracked = new Set(requests.map(r => r.mint));
+  for (const mint of snapshot.keys()) {
+    if (!tracked.has(mint)) snapshot.delete(mint);
+  }
+  if (requests.length === 0) return 0;
+
+  const quotes = await getPrices(requests);
+  let priced = 0;
+  for (const [mint, quote] of quotes) {
+    if (!quote) continue;
+    snapshot.set(mint, { price: quote.price, confidence: quote.confidence, sources: quote.sources, quote, at: now() });
+    priced++;
+  }
+  if (priced < requests.length) {
+    console.log(`[PRICES] Priced ${priced}/${requests.length} tracked mints`);
+  }
+  return priced;
+}
+
+/**
+ * Latest snapshot entry for a mint
+ * @returns {{ price: number, confidence: number, sources: string[], quote: object, at: number, ageMs: number, stale: boolean } | null}
+ *   null if the mint was never priced
+ */
+function getSnapshotPrice(mint) {
+  const entry = snapshot.get(mint);
+  if (!entry) return null;
+  const ageMs = now() - entry.at;
+  return { ...entry, ageMs, stale: ageMs > maxAgeMs() };
+}
+
+/**
+ * Fresh snapshot entry for a mint, or null if never priced or stale (logged)
+ * @param {string} mint - Token mint
+ * @param {string} label - Name for the log line
+ */
+function getFreshPrice(mint, label) {
+  const entry = getSnapshotPrice(mint);
+  if (!entry) return null;
+  if (entry.stale) {
+    console.log(`[PRICES] ${label}: price is ${(entry.ageMs / 1000).toFixed(0)}s old, skipping`);
+    return null;
+  }
+  return entry;
+}
+
+module.exports = { refreshPrices, getSnapshotPrice, getFreshPrice, priceMintFor, priceIntervalMs };
@@ -0,0 +1,120 @@
+/**
+ * Market data recorder - persists scanner candidates and price polls to disk
+ *
+ * Events are buffered in memory and appended as gzip members to one file per
+ * UTC day: <dir>/YYYY-MM-DD.jsonl.gz. Each line matches the backtester input:
+ *   {"ts":...,"type":"candidate","data":{ ...normalizePair output }}
+ *   {"ts":...,"type":"price","data":{"mint":"...","price":...}}
+ * Old days are pruned by age (retentionDays) and total size (maxTotalMb).
+ */
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const config = require('../config.json');
+const { now } = require('./utils');
+
+const recorderConfig = config.recorder || {};
+const MAX_BUFFER_LINES = 5000; // flush early if a burst fills the buffer
+const FILE_PATTERN = /^\d{4}-\d{2}-\d{2}\.jsonl\.gz$/;
+
+let buffer = [];
+let bufferDay = null;
+
+/** UTC date key for a timestamp, e.g. 2024-05-01 */
+function dayKey(ts) {
+  return new Date(ts).toISOString().slice(0, 10);
+}
+
+/**
+ * Queue one event for writing
+ * @param {string} type - 'candidate' | 'price'
+ * @param {object} data - Event payload
+ * @param {number} ts - Timestamp in ms
+ */
+function record(type, data, ts = now()) {
+  if (!recorderConfig.enabled) return;
+
+  const day = dayKey(ts);
+  if (bufferDay && day !== bufferDay) flushRecorder();
+  bufferDay = day;
+
+  buffer.push(JSON.stringify({ ts, type, data }));
+  if (buffer.length >= MAX_BUFFER_LINES) flushRecorder();
+}
+
+/**
+ * Record a scan cycle's candidates (all share one timestamp so replays see one scan)
+ * @param {object[]} candidates - normalizePair output
+ */
+function recordCandidates(candidates) {
+  const ts = now();
+  for (const candidate of candidates) record('candidate', candidate, ts);
+}
+
+/**
+ * Record a price poll result
+ * @param {string} mint - Token mint
+ * @param {object} priceData - getTokenPrice output
+ */
+function recordPricePoll(mint, priceData) {
+  record('price', { mint, ...priceData });
+}
+
+/**
+ * Append buffered events to today's file
+ */
+function flushRecorder() {
+  if (buffer.length === 0) return;
+
+  const lines = buffer.join('\n') + '\n';
+  const file = path.join(recorderConfig.dir, `${bufferDay}.jsonl.gz`);
+  buffer = [];
+
+  try {
+    fs.mkdirSync(recorderConfig.dir, { recursive: true });
+    fs.appendFileSync(file, zlib.gzipSync(lines));
+  } catch (err) {
+    console.error(`[RECORDER] Failed to write ${file}: ${err.message}`);
+  }
+}
+
+/**
+ * Delete recordings older than retentionDays, then oldest-first until under maxTotalMb
+ */
+function pruneRecordings() {
+  if (!recorderConfig.enabled) return;
+
+  let files;
+  try {
+    files = fs.readdirSync(recorderConfig.dir).filter(f => FILE_PATTERN.test(f)).sort();
+  } catch (_) {
+    return; // Nothing recorded yet
+  }
+
+  const retentionDays = recorderConfig.retentionDays || 30;
+  const oldestKept = dayKey(now() - retentionDays * 24 * 60 * 60 * 1000);
+  const today = dayKey(now());
+  const maxBytes = (recorderConfig.maxTotalMb || 500) * 1024 * 1024;
+
+  const entries = files.map(f => {
+    const file = path.join(recorderConfig.dir, f);
+    return { file, day: f.slice(0, 10), size: fs.statSync(file).size };
+  });
+  let totalBytes = entries.reduce((sum, e) => sum + e.size, 0);
+
+  for (const entry of entries) {
+    const expired = entry.day < oldestKept;
+    const overBudget = totalBytes > maxBytes && entry.day !== today;
+    if (!expired && !overBudget) continue;
+
+    try {
+      fs.unlinkSync(entry.file);
+      totalBytes -= entry.size;
+      console.log(`[RECORDER] Pruned ${path.basename(entry.file)} (${expired ? 'retention' : 'size limit'})`);
+    } catch (err) {
+      console.error(`[RECORDER] Failed to prune ${entry.file}: ${err.message}`);
+    }
+  }
+}
+
+module.exports = { recordCandidates, recordPricePoll, flushRecorder, pruneRecordings };
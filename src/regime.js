@@ -0,0 +1,201 @@
+/**
+ * Market regime classifier - labels the market from SOL's hourly bars and
+ * breadth across the watchlist
+ *
+ *   trending-up / trending-down - SOL ADX >= adxTrending, EMA slope beyond
+ *                                 minSlopePercent, breadth agreeing
+ *   high-vol-chop               - no trend, short-term volatility >= highVolRatio
+ *                                 x the longer baseline
+ *   ranging                     - everything else
+ *   unknown                     - not enough bars yet (entries are not gated)
+ *
+ * Strategies declare `regimes` in their config, the grid and Drift shorts in
+ * grid.regimes / drift.regimes. Until SOL has enough hourly bars the label
+ * falls back to the SMA deviation filter in src/trend.js.
+ * Settings: config.regime.
+ */
+const config = require('../config.json');
+const { getCandles } = require('./candles');
+const { getWatchlist } = require('./watchlist');
+const { getMarketTrend } = require('./trend');
+const { last, ema, adx, stdDev, returns } = require('./indicators');
+const { writeAlert } = require('./alerts');
+const { now } = require('./utils');
+
+const REGIMES = ['trending-up', 'trending-down', 'ranging', 'high-vol-chop'];
+
+const DEFAULTS = {
+  timeframe: '1h',
+  adxPeriod: 14,
+  adxTrending: 25,        // ADX at or above this is a trend
+  emaPeriod: 20,
+  slopeBars: 6,           // EMA slope measured over this many bars
+  minSlopePercent: 0.5,   // EMA change (%) over slopeBars needed for a direction
+  volShortBars: 24,       // realized vol window compared against...
+  volLongBars: 168,       // ...the longer baseline (whatever is available, min 2x short)
+  highVolRatio: 1.5,
+  breadthEmaPeriod: 20,   // breadth = share of watchlist tokens closing above this EMA
+  breadthUp: 0.5,         // trending-up needs breadth at or above this
+  breadthDown: 0.5,       // trending-down needs breadth at or below this
+  minBreadthTokens: 5,
+  cacheMinutes: 5,
+  trendFallback: true     // use the SOL SMA filter while bars are warming up
+};
+
+const TREND_TO_REGIME = { uptrend: 'trending-up', downtrend: 'trending-down', neutral: 'ranging' };
+
+let current = { regime: 'unknown', source: null };
+let checkedAt = 0;
+
+/**
+ * Effective regime settings (config.regime over the defaults)
+ */
+function settings() {
+  return { ...DEFAULTS, ...config.regime };
+}
+
+function round(value, digits = 2) {
+  return value === null ? null : Number(value.toFixed(digits));
+}
+
+/**
+ * Share of watchlist tokens (SOL excluded) closing above their EMA, null with too few tokens
+ */
+function measureBreadth(cfg) {
+  let above = 0;
+  let counted = 0;
+  for (const w of getWatchlist()) {
+    if (w.mint === config.mints.SOL) continue;
+    const closes = getCandles(w.mint, cfg.timeframe).map(b => b.close);
+    const average = last(ema(closes, cfg.breadthEmaPeriod));
+    if (average === null) continue;
+    counted++;
+    if (closes[closes.length - 1] > average) above++;
+  }
+  return counted >= cfg.minBreadthTokens ? above / counted : null;
+}
+
+/**
+ * Pure classification of regime inputs
+ * @param {{ adx: number, emaSlope: number, volRatio: number|null, breadth: number|null }} inputs
+ * @param {object} [cfg] - Thresholds (defaults to config.regime)
+ * @returns {string} One of REGIMES
+ */
+function classifyRegime({ adx: strength, emaSlope, volRatio, breadth }, cfg = settings()) {
+  const trending = strength >= cfg.adxTrending;
+  if (trending && emaSlope >= cfg.minSlopePercent && (breadth === null || breadth >= cfg.breadthUp)) return 'trending-up';
+  if (trending && emaSlope <= -cfg.minSlopePercent && (breadth === null || breadth <= cfg.breadthDown)) return 'trending-down';
+  if (volRatio !== null && volRatio >= cfg.highVolRatio) return 'high-vol-chop';
+  return 'ranging';
+}
+
+/**
+ * Regime from the bars on hand (no network)
+ * @returns {{ regime: string, source: string|null, adx, emaSlope, volRatio, breadth, price, at }}
+ */
+function detectRegime() {
+  const cfg = settings();
+  const bars = getCandles(config.mints.SOL, cfg.timeframe);
+  const needed = Math.max(2 * cfg.adxPeriod + 1, cfg.emaPeriod + cfg.slopeBars, cfg.volShortBars + 1);
+  if (bars.length < needed) return { regime: 'unknown', source: null, bars: bars.length, needed, at: now() };
+
+  const closes = bars.map(b => b.close);
+  const strength = last(adx(bars, cfg.adxPeriod).adx);
+
+  const emaSeries = ema(closes, cfg.emaPeriod);
+  const emaNow = emaSeries[emaSeries.length - 1];
+  const emaThen = emaSeries[emaSeries.length - 1 - cfg.slopeBars];
+  const emaSlope = (emaNow - emaThen) / emaThen * 100;
+
+  const rets = returns(closes).slice(-cfg.volLongBars);
+  const shortVol = last(stdDev(rets.slice(-cfg.volShortBars), cfg.volShortBars));
+  const longVol = rets.length >= 2 * cfg.volShortBars ? last(stdDev(rets, rets.length)) : null;
+  const volRatio = longVol > 0 ? shortVol / longVol : null;
+
+  const inputs = { adx: strength, emaSlope, volRatio, breadth: measureBreadth(cfg) };
+  return {
+    regime: classifyRegime(inputs, cfg),
+    source: 'candles',
+    adx: round(inputs.adx, 1),
+    emaSlope: round(inputs.emaSlope),
+    volRatio: round(inputs.volRatio),
+    breadth: round(inputs.breadth),
+    price: closes[closes.length - 1],
+    at: now()
+  };
+}
+
+function setRegime(result) {
+  if (result.regime !== current.regime && result.regime !== 'unknown') {
+    writeAlert('REGIME_CHANGE', `Market regime: ${current.regime} → ${result.regime}`, result);
+  }
+  current = result;
+  checkedAt = now();
+  return current;
+}
+
+/**
+ * Re-detect from bars and make it the current regime (used by the backtester each scan)
+ */
+function updateRegime() {
+  return setRegime(detectRegime());
+}
+
+/**
+ * Current regime, refreshed every cacheMinutes; while bars warm up, the SOL SMA trend stands in
+ * @returns {Promise<object>} Regime result (see detectRegime)
+ */
+async function getMarketRegime() {
+  const cfg = settings();
+  if (checkedAt && now() - checkedAt < cfg.cacheMinutes * 60000) return current;
+
+  let result = detectRegime();
+  if (result.regime === 'unknown' && cfg.trendFallback) {
+    try {
+      const trend = await getMarketTrend();
+      if (trend.currentPrice > 0) {
+        result = { regime: TREND_TO_REGIME[trend.trend], source: 'sma', deviation: round(trend.deviation), price: trend.currentPrice, at: now() };
+      }
+    } catch (err) {
+      console.log(`[REGIME] Trend fallback failed: ${err.message}`);
+    }
+  }
+
+  setRegime(result);
+  console.log(`[REGIME] ${formatRegime(current)}`);
+  return current;
+}
+
+/**
+ * Last computed regime (unknown before the first check)
+ */
+function getCurrentRegime() {
+  return current;
+}
+
+/**
+ * True if entries may run under `regime`: no list declared, regime unknown, or listed
+ * @param {string[]|null} regimes - Regimes a strategy / the grid runs in
+ * @param {string} [regime] - Defaults to the current regime
+ */
+function regimeAllows(regimes, regime = current.regime) {
+  return !Array.isArray(regimes) || regime === 'unknown' || regimes.includes(regime);
+}
+
+/**
+ * One-line summary for logs
+ */
+function formatRegime(r) {
+  if (r.source === 'candles') {
+    const volRatio = r.volRatio === null ? 'n/a' : `${r.volRatio}x`;
+    const breadth = r.breadth === null ? 'n/a' : `${(r.breadth * 100).toFixed(0)}%`;
+    return `${r.regime.toUpperCase()} | ADX ${r.adx} | EMA slope ${r.emaSlope}% | Vol ${volRatio} | Breadth ${breadth}`;
+  }
+  if (r.source === 'sma') return `${r.regime.toUpperCase()} (SMA fallback, dev ${r.deviation}%)`;
+  return `UNKNOWN${r.needed ? ` (${r.bars}/${r.needed} SOL bars)` : ''}`;
+}
+
+module.exports = {
+  REGIMES, classifyRegime, detectRegime, updateRegime, getMarketRegime, getCurrentRegime, regimeAllows, formatRegime,
+  regimeSettings: settings
+};
@@ -4,6 +4,15 @@
 const config = require('../config.json');
 const { getState, triggerKillSwitch } = require('./state');
 const { writeAlert } = require('./alerts');
+const { now } = require('./utils');
+const { getVolatility } = require('./history');
+const { getStrategy, getStrategyConfig } = require('./strategies');
+const { checkLossLimits } = require('./limits');
+const { checkStrategyGuard } = require('./performance');
+const { isTrusted } = require('./oracle');
+const { getToken } = require('./watchlist');
+
+const REENTRY_COOLDOWN_MS = 12 * 60 * 60 * 1000; // don't re-buy a token within 12h of closing it
 
 /**
  * Check if we can open a new position
@@ -17,11 +26,20 @@ function canOpenPosition() {
     return { allowed: false, reason: 'Kill switch active' };
   }
 
-  // Check total PnL against kill switch threshold
-  const pnlPercent = (state.totalPnl / state.initialCapital) * 100;
-  if (pnlPercent <= config.risk.portfolioKillSwitchPercent) {
-    triggerKillSwitch();
-    return { allowed: false, reason: `Kill switch triggered: ${pnlPercent.toFixed(1)}% total loss` };
+  // Until the first mark-to-market pass, fall back to realized PnL
+  // (equity drawdown itself is checked by updateEquity in portfolio.js)
+  if (!state.equity) {
+    const pnlPercent = (state.totalPnl / state.initialCapital) * 100;
+    if (pnlPercent <= config.risk.portfolioKillSwitchPercent) {
+      triggerKillSwitch({ reason: `${pnlPercent.toFixed(1)}% realized loss` });
+      return { allowed: false, reason: `Kill switch triggered: ${pnlPercent.toFixed(1)}% total loss` };
+    }
+  }
+
+  // Daily / rolling loss limits (pause and resume on their own)
+  const limits = checkLossLimits();
+  if (!limits.allowed) {
+    return { allowed: false, reason: limits.reason };
   }
 
   // Max positions check
@@ -39,57 +57,413 @@ function canOpenPosition() {
   return { allowed: true, maxSize };
 }
 
+/**
+ * Per-strategy limits from config.strategies: max open positions and capital share,
+ * adjusted by the performance guard
+ * @param {string} strategy - Strategy name
+ * @returns {{ allowed: boolean, reason?: string, maxSize: number }}
+ */
+function canOpenStrategy(strategy) {
+  const cfg = getStrategyConfig(strategy);
+  const open = getState().positions.filter(p => (p.strategy || 'momentum') === strategy);
+
+  if (cfg.maxPositions && open.length >= cfg.maxPositions) {
+    return { allowed: false, reason: `${strategy}: max positions (${cfg.maxPositions}) reached`, maxSize: 0 };
+  }
+
+  // Negative rolling expectancy can pause the strategy or cut its share
+  const guard = checkStrategyGuard(strategy);
+  if (!guard.allowed) {
+    return { allowed: false, reason: guard.reason, maxSize: 0 };
+  }
+
+  const share = (cfg.capitalShare ?? 1) * guard.allocationFactor;
+  const held = open.reduce((sum, p) => sum + (p.costBasis ?? p.usdcSpent), 0);
+  const maxSize = Math.max(0, bookEquity() * share - held);
+  if (maxSize < 5) {
+    return { allowed: false, reason: `${strategy}: capital share ${(share * 100).toFixed(0)}% in use`, maxSize: 0 };
+  }
+  return { allowed: true, maxSize };
+}
+
+/**
+ * Equity used for sizing: free capital plus the cost basis still in open positions
+ */
+function bookEquity() {
+  const state = getState();
+  return state.positions.reduce((sum, p) => sum + (p.costBasis ?? p.usdcSpent), state.capitalUsdc);
+}
+
+/**
+ * Win rate and payoff ratio for a strategy from closedTrades
+ * @returns {{ trades: number, winRate: number, payoff: number, kelly: number }}
+ */
+function strategyEdge(strategy) {
+  const trades = getState().closedTrades.filter(t => (t.strategy || 'momentum') === strategy);
+  const wins = trades.filter(t => t.pnl > 0);
+  const losses = trades.filter(t => t.pnl <= 0);
+  const avgWin = wins.length ? wins.reduce((s, t) => s + t.pnlPercent, 0) / wins.length : 0;
+  const avgLoss = losses.length ? Math.abs(losses.reduce((s, t) => s + t.pnlPercent, 0) / losses.length) : 0;
+
+  const winRate = trades.length ? wins.length / trades.length : 0;
+  const payoff = avgLoss > 0 ? avgWin / avgLoss : (avgWin > 0 ? Infinity : 0);
+  // Kelly fraction f* = W - (1 - W) / R
+  const kelly = payoff > 0 ? winRate - (1 - winRate) / payoff : -1;
+  return { trades: trades.length, winRate, payoff, kelly };
+}
+
+/**
+ * Size a new position with the model in config.risk.sizing
+ *
+ * Models:
+ *   score            - maxPositionSize scaled by signal score (legacy)
+ *   fixedFractional  - risk riskPercent of equity between entry and stop
+ *   volatilityTarget - position volatility = targetVolPercent of equity
+ *   kelly            - kellyFraction x Kelly from the strategy's closed trades,
+ *                      capped at kellyMaxPercent of equity
+ * Models that lack their inputs (no stop, no price history, too few trades)
+ * fall back to score sizing. Every result is capped by canOpenPosition().maxSize,
+ * the strategy's remaining capital share and the token's watchlist maxSize.
+ *
+ * @param {object} signal - Signal with score 0-100
+ * @param {object} [ctx] - { entryPrice, stopLoss, mint } for the planned trade
+ * @returns {{ size: number, model: string, inputs: object }}
+ */
+function sizePosition(signal, ctx = {}) {
+  const strategy = signal.strategy || 'momentum';
+  const globalMax = canOpenPosition().maxSize;
+  if (!globalMax) return { size: 0, model: 'none', inputs: {} };
+  const tokenMax = getToken(ctx.mint || signal.mint)?.maxSize ?? Infinity;
+  const maxSize = Math.min(globalMax, canOpenStrategy(strategy).maxSize, tokenMax);
+  if (!maxSize) return { size: 0, model: 'none', inputs: {} };
+
+  const sizing = config.risk.sizing || {};
+  const equity = bookEquity();
+  let model = sizing.model || 'score';
+  let size = null;
+  let inputs = { equity: Number(equity.toFixed(2)), maxSize };
+
+  if (model === 'fixedFractional' && ctx.stopLoss && ctx.entryPrice) {
+    const stopDistance = Math.abs(ctx.entryPrice - ctx.stopLoss) / ctx.entryPrice;
+    const riskUsd = equity * (sizing.riskPercent || 1) / 100;
+    if (stopDistance > 0) size = riskUsd / stopDistance;
+    inputs = { ...inputs, riskUsd: Number(riskUsd.toFixed(2)), stopDistancePercent: Number((stopDistance * 100).toFixed(2)) };
+  } else if (model === 'volatilityTarget') {
+    const vol = getVolatility(ctx.mint || signal.mint);
+    if (vol && vol.stdDevPercent > 0) {
+      size = equity * (sizing.targetVolPercent || 0.5) / vol.stdDevPercent;
+      inputs = { ...inputs, volPercent: Number(vol.stdDevPercent.toFixed(4)), targetVolPercent: sizing.targetVolPercent || 0.5 };
+    }
+  } else if (model === 'kelly') {
+    const edge = strategyEdge(strategy);
+    if (edge.trades >= (sizing.kellyMinTrades || 20)) {
+      const fraction = Math.min((sizing.kellyMaxPercent || 20) / 100, Math.max(0, edge.kelly * (sizing.kellyFraction || 0.25)));
+      size = equity * fraction;
+      inputs = {
+        ...inputs,
+        trades: edge.trades,
+        winRate: Number(edge.winRate.toFixed(3)),
+        payoff: Number(edge.payoff.toFixed(3)),
+        kelly: Number(edge.kelly.toFixed(3)),
+        fraction: Number(fraction.toFixed(4))
+      };
+    }
+  }
+
+  if (size === null) {
+    // Scale position size by signal strength (50-100 score maps to 50-100% of max)
+    if (model !== 'score') inputs.fallbackFrom = model;
+    model = 'score';
+    const scaleFactor = 0.5 + (signal.score / 100) * 0.5;
+    size = maxSize * scaleFactor;
+    inputs.score = signal.score;
+  }
+
+  return { size: Math.min(maxSize, Number(size.toFixed(2))), model, inputs };
+}
+
 /**
  * Calculate position size for a signal
  * @param {object} signal - Signal with score 0-100
+ * @param {object} [ctx] - See sizePosition
  * @returns {number} USDC amount to invest
  */
-function calculatePositionSize(signal) {
-  const { maxSize } = canOpenPosition();
-  if (!maxSize) return 0;
+function calculatePositionSize(signal, ctx = {}) {
+  return sizePosition(signal, ctx).size;
+}
 
-  // Scale position size by signal strength (50-100 score maps to 50-100% of max)
-  const scaleFactor = 0.5 + (signal.score / 100) * 0.5;
-  return Math.min(maxSize, Number((maxSize * scaleFactor).toFixed(2)));
+/**
+ * Fixed SL/TP distances (in %) used when there's no volatility data
+ */
+function fixedStopPercents(strategy) {
+  const stops = getStrategy(strategy)?.stops;
+  if (stops) return { ...stops };
+  if (strategy === 'driftShort') {
+    return {
+      stopPercent: config.drift?.stopLossPercent || 8,
+      takeProfitPercent: config.drift?.takeProfitPercent || 10
+    };
+  }
+  return {
+    stopPercent: Math.abs(config.risk.stopLossPercent),    // e.g. -15% = 0.85x
+    takeProfitPercent: config.risk.takeProfitPercent        // e.g. +30% = 1.30x
+  };
 }
 
 /**
  * Calculate stop-loss and take-profit prices
- * Mean reversion uses tighter bounds (smaller moves, quicker exits)
+ *
+ * With config.risk.volatilityStops[strategy], the stop sits `multiplier` x the
+ * token's realized volatility (ATR or stdDev, as % of price) away, clamped to
+ * [minStopPercent, maxStopPercent], and TP = stop distance x rewardRisk.
+ * Otherwise (or before enough price history) the fixed per-strategy levels apply.
+ * A strategy module with its own sltp() replaces all of this.
+ * Shorts (driftShort) mirror the levels: SL above entry, TP below.
+ *
  * @param {number} entryPrice - Entry price
- * @param {string} strategy - 'momentum' or 'meanReversion'
- * @returns {{ stopLoss: number, takeProfit: number }}
+ * @param {string} strategy - 'momentum' | 'meanReversion' | 'driftShort'
+ * @param {string} [mint] - Mint whose price history sets the volatility
+ * @returns {{ stopLoss: number, takeProfit: number, volatility: object|null }}
  */
-function calculateSLTP(entryPrice, strategy = 'momentum') {
-  if (strategy === 'meanReversion') {
-    // Tighter: -8% SL, +10% TP (mean reversion = smaller, faster trades)
-    return {
-      stopLoss: entryPrice * 0.92,
-      takeProfit: entryPrice * 1.10
+function calculateSLTP(entryPrice, strategy = 'momentum', mint = null) {
+  const custom = getStrategy(strategy)?.sltp;
+  if (custom) return { volatility: null, ...custom(entryPrice, mint) };
+
+  let { stopPercent, takeProfitPercent } = fixedStopPercents(strategy);
+  let volatility = null;
+
+  const volConfig = config.risk.volatilityStops?.[strategy];
+  const vol = volConfig && mint ? getVolatility(mint) : null;
+  if (vol) {
+    const measure = volConfig.measure || 'stdDev';
+    const volPercent = measure === 'atr' ? vol.atrPercent : vol.stdDevPercent;
+    const raw = volPercent * (volConfig.multiplier || 2);
+
+    stopPercent = Math.min(volConfig.maxStopPercent || 20, Math.max(volConfig.minStopPercent || 2, raw));
+    takeProfitPercent = stopPercent * (volConfig.rewardRisk || 1.5);
+    volatility = {
+      measure,
+      value: measure === 'atr' ? vol.atr : vol.stdDev,
+      percent: Number(volPercent.toFixed(4)),
+      dataPoints: vol.dataPoints,
+      stopPercent: Number(stopPercent.toFixed(2)),
+      takeProfitPercent: Number(takeProfitPercent.toFixed(2))
     };
   }
+
+  const dir = strategy === 'driftShort' ? -1 : 1;
   return {
-    stopLoss: entryPrice * (1 + config.risk.stopLossPercent / 100),    // e.g. -15% = 0.85x
-    takeProfit: entryPrice * (1 + config.risk.takeProfitPercent / 100)  // e.g. +30% = 1.30x
+    stopLoss: entryPrice * (1 - dir * stopPercent / 100),
+    takeProfit: entryPrice * (1 + dir * takeProfitPercent / 100),
+    volatility
   };
 }
 
+/** Drift shorts profit when price falls — every stop comparison flips */
+function isShort(position) {
+  return position.strategy === 'driftShort';
+}
+
+/**
+ * Trailing stop settings for a position (strategies may override via exitRules.trailingStop,
+ * shorts under config.drift)
+ */
+function getTrailingConfig(position) {
+  const override = getStrategy(position.strategy)?.exitRules?.trailingStop;
+  if (override === false) return { enabled: false };
+  if (override) return override;
+  if (isShort(position) && config.drift?.trailingStop) return config.drift.trailingStop;
+  return config.risk.trailingStop || {};
+}
+
+/**
+ * Advance the high-water mark and ratchet the stop (trailing and/or break-even)
+ *
+ * highWaterMark is the most favorable price seen since entry: the highest
+ * price for longs, the lowest for shorts. The stop only ever moves in the
+ * position's favor. Mutates the position; persist state when this returns true.
+ *
+ * @param {object} position - Open position
+ * @param {number} currentPrice - Current token price
+ * @returns {boolean} true if highWaterMark or stopLoss changed
+ */
+function updateTrailingStop(position, currentPrice) {
+  const trail = getTrailingConfig(position);
+  if (!trail.enabled) return false;
+
+  const dir = isShort(position) ? -1 : 1;
+  let changed = false;
+
+  const hwm = position.highWaterMark ?? position.entryPrice;
+  if (position.highWaterMark === undefined || dir * (currentPrice - hwm) > 0) {
+    position.highWaterMark = dir * (currentPrice - hwm) > 0 ? currentPrice : hwm;
+    changed = true;
+  }
+
+  const best = position.highWaterMark;
+  const gainPercent = dir * (best - position.entryPrice) / position.entryPrice * 100;
+  let newStop = null;
+  let stopType = null;
+
+  // Break-even: once up breakEvenAtPercent, stop moves to entry (+ offset to cover fees)
+  if (trail.breakEvenAtPercent && gainPercent >= trail.breakEvenAtPercent) {
+    newStop = position.entryPrice * (1 + dir * (trail.breakEvenOffsetPercent || 0) / 100);
+    stopType = 'breakEven';
+  }
+
+  // Trail: fixed % or ATR multiple behind the high-water mark
+  if (gainPercent >= (trail.activateAtPercent || 0)) {
+    let distance = best * (trail.trailPercent || 10) / 100;
+    if (trail.mode === 'atr') {
+      const vol = getVolatility(position.priceMint || position.mint);
+      if (vol) distance = vol.atr * (trail.atrMultiplier || 3);
+    }
+    const trailStop = best - dir * distance;
+    if (newStop === null || dir * (trailStop - newStop) > 0) {
+      newStop = trailStop;
+      stopType = 'trailing';
+    }
+  }
+
+  if (newStop !== null && dir * (newStop - position.stopLoss) > 0) {
+    position.stopLoss = newStop;
+    position.stopType = stopType;
+    changed = true;
+  }
+
+  return changed;
+}
+
+/**
+ * Exit ladder for a new position: copies the strategy's tranches from
+ * config.risk.exitLadders so later config edits don't change open trades
+ * @param {string} strategy - Strategy name
+ * @returns {Array<{ gainPercent: number, sellPercent: number, filled: boolean }>|undefined}
+ */
+function buildExitLadder(strategy) {
+  const ladder = config.risk.exitLadders?.[strategy];
+  if (!Array.isArray(ladder) || ladder.length === 0) return undefined;
+  return ladder
+    .map(t => ({ gainPercent: t.gainPercent, sellPercent: t.sellPercent, filled: false }))
+    .sort((a, b) => a.gainPercent - b.gainPercent);
+}
+
+/**
+ * Next exit-ladder tranche whose target has been reached
+ * Tranche sizes are a % of the initial amount; the last one clamps to what's left.
+ * @param {object} position - Open position with exitLadder/initialAmount
+ * @param {number} currentPrice - Current token price
+ * @returns {{ index: number, amount: string|number, final: boolean, reason: string } | null}
+ */
+function checkExitLadder(position, currentPrice) {
+  const ladder = position.exitLadder;
+  if (!ladder) return null;
+
+  const index = ladder.findIndex(t => !t.filled);
+  if (index === -1) return null;
+
+  const tranche = ladder[index];
+  const dir = isShort(position) ? -1 : 1;
+  const gainPercent = dir * (currentPrice - position.entryPrice) / position.entryPrice * 100;
+  if (gainPercent < tranche.gainPercent) return null;
+
+  const reason = `${isShort(position) ? 'SHORT_' : ''}TAKE_PROFIT_${index + 1}`;
+
+  if (isShort(position)) {
+    const held = position.baseAmount;
+    const amount = Math.min(held, (position.initialAmount ?? held) * tranche.sellPercent / 100);
+    return { index, amount, final: amount >= held, reason };
+  }
+
+  const held = BigInt(position.amount);
+  let amount = BigInt(position.initialAmount ?? position.amount) * BigInt(Math.round(tranche.sellPercent * 100)) / 10000n;
+  if (amount > held) amount = held;
+  return { index, amount: amount.toString(), final: amount === held, reason };
+}
+
+/**
+ * Close reason for a stop hit, naming trailing/break-even stops explicitly
+ */
+function stopReason(position) {
+  const prefix = isShort(position) ? 'SHORT_' : '';
+  if (position.stopType === 'trailing') return `${prefix}TRAILING_STOP`;
+  if (position.stopType === 'breakEven') return `${prefix}BREAK_EVEN_STOP`;
+  return `${prefix}STOP_LOSS`;
+}
+
 /**
  * Check if any open position should be closed (SL/TP hit)
+ * Shorts close on price rising to the stop or falling to the target.
+ * Positions with an exit ladder skip the fixed TP: they scale out via
+ * checkExitLadder and the runner rides the (trailing) stop.
+ * Longs also close on their strategy's exitRules.shouldExit().
+ * Nothing fires on an untrusted oracle quote (low-confidence single source).
  * @param {object} position - Open position
  * @param {number} currentPrice - Current token price
- * @returns {{ shouldClose: boolean, reason?: string }}
+ * @param {object} [quote] - oracle.getPrice() result the price came from; omitted when the
+ *   price isn't an oracle quote (backtest replays), which skips the confidence check
+ * @returns {{ shouldClose: boolean, reason?: string, lowConfidence?: boolean }}
  */
-function checkPosition(position, currentPrice) {
+function checkPosition(position, currentPrice, quote) {
+  const result = priceExit(position, currentPrice);
+  if (result.shouldClose && quote !== undefined && !isTrusted(quote)) {
+    console.log(`[RISK] ${position.token}: ${result.reason} held back — low-confidence price $${currentPrice} (sources: ${quote?.sources.join(', ') || 'none agree'}, confidence ${quote?.confidence ?? 0})`);
+    return { shouldClose: false, lowConfidence: true };
+  }
+  return result;
+}
+
+function priceExit(position, currentPrice) {
+  if (isShort(position)) {
+    if (currentPrice >= position.stopLoss) {
+      return { shouldClose: true, reason: stopReason(position) };
+    }
+    if (!position.exitLadder && currentPrice <= position.takeProfit) {
+      return { shouldClose: true, reason: 'SHORT_TAKE_PROFIT' };
+    }
+    return { shouldClose: false };
+  }
+
   if (currentPrice <= position.stopLoss) {
-    return { shouldClose: true, reason: 'STOP_LOSS' };
+    return { shouldClose: true, reason: stopReason(position) };
   }
-  if (currentPrice >= position.takeProfit) {
+  if (!position.exitLadder && currentPrice >= position.takeProfit) {
     return { shouldClose: true, reason: 'TAKE_PROFIT' };
   }
+
+  const shouldExit = getStrategy(position.strategy)?.exitRules?.shouldExit;
+  const reason = shouldExit ? shouldExit(position, currentPrice) : null;
+  if (reason) return { shouldClose: true, reason };
   return { shouldClose: false };
 }
 
+/**
+ * Time stop: close positions held longer than timeStopHours that aren't profitable
+ * (a strategy's exitRules.timeStopHours overrides the global setting)
+ * @param {object} position - Open position
+ * @param {number} pnl - Current unrealized PnL (only the sign matters)
+ * @returns {boolean} true if the position should be closed
+ */
+function checkTimeStop(position, pnl) {
+  if (!position.openedAt) return false;
+  const hours = getStrategy(position.strategy)?.exitRules?.timeStopHours || config.timeStopHours || 24;
+  const timeStopMs = hours * 60 * 60 * 1000;
+  const openDuration = now() - new Date(position.openedAt).getTime();
+  return openDuration > timeStopMs && pnl <= 0;
+}
+
+/**
+ * Find a trade in this token closed within the re-entry cooldown
+ * @returns {object|null} The recent closed trade, if any
+ */
+function getRecentClose(mint) {
+  return (getState().closedTrades || []).find(t =>
+    t.mint === mint &&
+    t.closedAt &&
+    (now() - new Date(t.closedAt).getTime()) < REENTRY_COOLDOWN_MS
+  ) || null;
+}
+
 /**
  * Check if token is already in our positions (avoid duplicates)
  */
@@ -110,12 +484,18 @@ function portfolioCheck() {
     openPositions: state.positions.length,
     totalPnl: state.totalPnl,
     pnlPercent,
+    equity: state.equity || null,
     closedTrades: state.closedTrades.length,
-    killSwitch: state.killSwitchTriggered
+    killSwitch: state.killSwitchTriggered,
+    lossLimit: state.lossLimit || null
   };
 
-  writeAlert('PORTFOLIO_UPDATE', `Capital: $${state.capitalUsdc.toFixed(2)} | PnL: $${state.totalPnl.toFixed(2)} (${pnlPercent.toFixed(1)}%) | Open: ${state.positions.length}`, summary);
+  const equityText = state.equity
+    ? ` | Equity: $${state.equity.value.toFixed(2)} (DD ${state.equity.drawdownPercent.toFixed(1)}%)`
+    : '';
+  const pauseText = state.lossLimit ? ` | PAUSED (${state.lossLimit.rule}) until ${state.lossLimit.pausedUntil}` : '';
+  writeAlert('PORTFOLIO_UPDATE', `Capital: $${state.capitalUsdc.toFixed(2)} | PnL: $${state.totalPnl.toFixed(2)} (${pnlPercent.toFixed(1)}%)${equityText} | Open: ${state.positions.length}${pauseText}`, summary);
   return summary;
 }
 
-module.exports = { canOpenPosition, calculatePositionSize, calculateSLTP, checkPosition, hasPosition, portfolioCheck };
+module.exports = { canOpenPosition, canOpenStrategy, sizePosition, calculatePositionSize, strategyEdge, calculateSLTP, checkPosition, buildExitLadder, checkExitLadder, updateTrailingStop, isShort, checkTimeStop, getRecentClose, hasPosition, portfolioCheck };
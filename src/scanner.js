@@ -3,172 +3,133 @@
  */
 const config = require('../config.json');
 const { safeFetch } = require('./utils');
+const { describeError } = require('./http');
 const { writeAlert } = require('./alerts');
+const { recordCandidates, recordPricePoll } = require('./recorder');
+const { getWatchlist, getToken, getDenial, isAllowlistOnly } = require('./watchlist');
+const { createFunnel, addSource, recordFilter, reportFunnel } = require('./funnel');
 
 const BASE = config.apis.dexscreener;
 
-// Major Solana tokens only — no meme coins
-// Filtered for $5M+ liquidity, established projects
-const WATCHLIST = [
-  { symbol: 'SOL', mint: 'So11111111111111111111111111111111111111112' },
-  { symbol: 'JUP', mint: 'JUPyiwrYJFskUPiHa7hkeR8VUtAeFoSYbKedZNsDvCN' },
-  { symbol: 'RAY', mint: '4k3Dyjzvzp8eMZWUXbBCjEvwSkkk59S5iCNLY3QrkX6R' },
-  { symbol: 'PYTH', mint: 'HZ1JovNiVvGrGNiiYvEozEVgZ58xaU3RKwX8eACQBCt3' },
-  { symbol: 'ORCA', mint: 'orcaEKTdK7LKz57vaAYr9QeNsVEPfiu6QeMU1kektZE' },
-  { symbol: 'RENDER', mint: 'rndrizKT3MK1iimdxRdWabcF7Zg7AR5T4nud4EkHBof' },
-  { symbol: 'HNT', mint: 'hntyVP6YFm1Hg25TN9WGLqM12b8TQmcknKrdu1oxWux' },
-  { symbol: 'W', mint: '85VBFQZC9TZkfaptBWjvUw7YbZjy52A6mjtPGjstQAmQ' },
-  { symbol: 'TENSOR', mint: 'TNSRxcUxoT9xBG3de7PiJyTDYu7kskLqcpddxnEJAS6' },
-  { symbol: 'DRIFT', mint: 'DriFtupJYLTosbwoN8koMbEYSx54aFAVLddWsbksjwg7' },
-  { symbol: 'BONK', mint: 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263' },
-  { symbol: 'KMNO', mint: 'KMNo3nJsBXfcpJTVhZcXLW7RmTwTt4GVFE7suUBo9sS' },
-  { symbol: 'WIF', mint: 'EKpQGSJtjMFqKZ9KQanSqYXRcF8fBopzLHYxdM65zcjm' },
-];
+/**
+ * Fetch one scanner source; a failure is noted in `failures` (by type) and yields null
+ */
+async function fetchSource(label, url, failures) {
+  try {
+    return await safeFetch(url, {}, 15000);
+  } catch (err) {
+    failures.push({ source: label, type: err.name, error: describeError(err) });
+    return null;
+  }
+}
+
+/**
+ * Solana token addresses in a source response
+ */
+function solanaAddressesOf(data) {
+  if (Array.isArray(data)) return data.filter(t => t.chainId === 'solana').map(t => t.tokenAddress);
+  if (data?.pairs) return data.pairs.filter(p => p.chainId === 'solana' && p.baseToken?.address).map(p => p.baseToken.address);
+  if (data?.coins) return data.coins.map(c => c.item?.platforms?.['solana']).filter(Boolean);
+  return [];
+}
 
 /**
  * Get trending/boosted tokens on Solana from DexScreener
- * Returns filtered token pairs meeting our criteria
+ * Returns filtered token pairs meeting our criteria; each cycle's funnel is logged as SCAN_FUNNEL plus a funnel log line (src/funnel.js)
  */
 async function scanTokens() {
+  const funnel = createFunnel();
+  const failures = funnel.failures;
   try {
-    // 1. Get top Solana pairs by volume (search endpoint)
-    const searchData = await safeFetch(
-      `${BASE}/token-profiles/latest/v1`,
-      {}, 15000
-    ).catch(() => null);
-
-    // 2. Get boosted tokens
-    const boostedData = await safeFetch(
-      `${BASE}/token-boosts/latest/v1`,
-      {}, 15000
-    ).catch(() => null);
-
-    // Collect Solana token addresses from boosted/trending
+    // Collect Solana token addresses from profiles, boosts, CoinGecko trending and DexScreener search
     const solanaAddresses = new Set();
-
-    if (Array.isArray(searchData)) {
-      searchData.filter(t => t.chainId === 'solana').forEach(t => solanaAddresses.add(t.tokenAddress));
-    }
-    if (Array.isArray(boostedData)) {
-      boostedData.filter(t => t.chainId === 'solana').forEach(t => solanaAddresses.add(t.tokenAddress));
+    const collect = (source, addresses) => {
+      addSource(funnel, source, addresses.length);
+      addresses.forEach(a => solanaAddresses.add(a));
+    };
+
+    collect('profiles', solanaAddressesOf(await fetchSource('token-profiles', `${BASE}/token-profiles/latest/v1`, failures)));
+    collect('boosts', solanaAddressesOf(await fetchSource('token-boosts', `${BASE}/token-boosts/latest/v1`, failures)));
+    collect('coingecko', solanaAddressesOf(await fetchSource('coingecko-trending', 'https://api.coingecko.com/api/v3/search/trending', failures)));
+
+    // DexScreener search for top Solana gainers
+    for (const q of ['SOL', 'USDC', 'trending']) {
+      collect('search', solanaAddressesOf(await fetchSource(`search:${q}`, `${BASE}/latest/dex/search?q=${q}`, failures)));
     }
 
-    // 3. CoinGecko trending — cross-reference Solana tokens
-    const cgTrending = await safeFetch(
-      'https://api.coingecko.com/api/v3/search/trending',
-      {}, 15000
-    ).catch(() => null);
+    // Always include our established watchlist (watchlist.json)
+    const watchlist = getWatchlist();
+    collect('watchlist', watchlist.map(w => w.mint));
+    funnel.discovered = solanaAddresses.size;
 
-    if (cgTrending?.coins) {
-      for (const coin of cgTrending.coins) {
-        const solAddr = coin.item?.platforms?.['solana'];
-        if (solAddr) solanaAddresses.add(solAddr);
-      }
+    // Fetch pair data: watchlist first, then up to 60 trending (none in allowlist-only mode)
+    const candidates = [];
+    const watchlistMints = watchlist.map(w => w.mint);
+    const trendingAddrs = isAllowlistOnly() ? [] : [...solanaAddresses].filter(a => !watchlistMints.includes(a));
+    const addresses = [...watchlistMints, ...trendingAddrs.slice(0, 60)];
+    funnel.requested = addresses.length;
+    funnel.skipped = solanaAddresses.size - addresses.length;
+
+    // DexScreener allows up to 30 comma-separated addresses per call
+    let pairsData = [];
+    for (let i = 0; i < addresses.length; i += 30) {
+      const data = await fetchSource('pairs', `${BASE}/tokens/v1/solana/${addresses.slice(i, i + 30).join(',')}`, failures);
+      if (Array.isArray(data)) pairsData = pairsData.concat(data);
     }
-
-    // 4. DexScreener search for top Solana gainers
-    const searches = ['SOL', 'USDC', 'trending'];
-    for (const q of searches) {
-      const searchResult = await safeFetch(
-        `${BASE}/latest/dex/search?q=${q}`,
-        {}, 15000
-      ).catch(() => null);
-      if (searchResult?.pairs) {
-        for (const pair of searchResult.pairs) {
-          if (pair.chainId === 'solana' && pair.baseToken?.address) {
-            solanaAddresses.add(pair.baseToken.address);
-          }
-        }
+    funnel.pairsFetched = pairsData.length;
+
+    // Group by base token, keep highest liquidity pair per token
+    const bestPairs = new Map();
+    for (const pair of pairsData) {
+      const mint = pair.baseToken?.address;
+      if (!mint) continue;
+      const existing = bestPairs.get(mint);
+      if (!existing || (pair.liquidity?.usd || 0) > (existing.liquidity?.usd || 0)) {
+        bestPairs.set(mint, pair);
       }
     }
-
-    // 5. Always include our established watchlist
-    for (const token of WATCHLIST) {
-      solanaAddresses.add(token.mint);
-    }
-
-    // If we got addresses, fetch their pair data
-    // Prioritize watchlist tokens, then trending
-    const candidates = [];
-    const watchlistMints = WATCHLIST.map(w => w.mint);
-    const trendingAddrs = [...solanaAddresses].filter(a => !watchlistMints.includes(a));
-    const addresses = [...watchlistMints, ...trendingAddrs.slice(0, 60)]; // Watchlist first, then up to 60 trending
-
-    if (addresses.length > 0) {
-      // Batch fetch - DexScreener allows comma-separated (up to 30)
-      // Split into chunks of 30
-      const chunks = [];
-      for (let i = 0; i < addresses.length; i += 30) {
-        chunks.push(addresses.slice(i, i + 30));
+    funnel.tokensPriced = bestPairs.size;
+
+    // Only candidates are deduped: a token whose best pair fails can still get in on a passing search pair.
+    // The funnel counts each token once, on its first pair, and tallies such second chances as `rescued`.
+    const counted = new Set();
+    const candidateMints = new Set();
+    const consider = (pair) => {
+      const norm = normalizePair(pair);
+      if (candidateMints.has(norm.mint)) return;
+      const rejections = filterRejections(pair);
+      if (!counted.has(norm.mint)) {
+        counted.add(norm.mint);
+        recordFilter(funnel, norm, rejections);
+      } else if (rejections.length === 0) {
+        funnel.rescued++;
       }
-      let pairsData = [];
-      for (const chunk of chunks) {
-        const batchUrl = `${BASE}/tokens/v1/solana/${chunk.join(',')}`;
-        const data = await safeFetch(batchUrl, {}, 15000).catch(() => null);
-        if (Array.isArray(data)) pairsData = pairsData.concat(data);
+      if (rejections.length === 0) {
+        candidates.push(norm);
+        candidateMints.add(norm.mint);
       }
+    };
+    for (const pair of bestPairs.values()) consider(pair);
 
-      if (pairsData.length > 0) {
-        // Group by base token, keep highest liquidity pair per token
-        const bestPairs = new Map();
-        for (const pair of pairsData) {
-          const mint = pair.baseToken?.address;
-          if (!mint) continue;
-          const existing = bestPairs.get(mint);
-          if (!existing || (pair.liquidity?.usd || 0) > (existing.liquidity?.usd || 0)) {
-            bestPairs.set(mint, pair);
-          }
-        }
-
-        for (const pair of bestPairs.values()) {
-          if (passesFilters(pair)) {
-            candidates.push(normalizePair(pair));
-          }
-        }
-      }
+    // Also search for high-volume Solana pairs directly
+    const topPairs = await fetchSource('search:SOL/USDC', `${BASE}/latest/dex/search?q=SOL/USDC`, failures);
+    for (const pair of topPairs?.pairs || []) {
+      if (pair.chainId === 'solana' && pair.baseToken?.address) consider(pair);
     }
+    funnel.candidates = candidates.length;
 
-    // 4. Also search for high-volume Solana pairs directly
-    const topPairs = await safeFetch(
-      `${BASE}/latest/dex/search?q=SOL/USDC`,
-      {}, 15000
-    ).catch(() => null);
+    recordCandidates(candidates);
 
-    if (topPairs?.pairs) {
-      for (const pair of topPairs.pairs) {
-        if (pair.chainId === 'solana' && passesFilters(pair)) {
-          const norm = normalizePair(pair);
-          if (!candidates.find(c => c.mint === norm.mint)) {
-            candidates.push(norm);
-          }
-        }
-      }
+    // Throttling and outages are not "no candidates": say which sources failed and how
+    if (failures.length > 0) {
+      console.log(`[SCANNER] Source failures: ${failures.map(f => `${f.source} ${f.error}`).join(', ')}`);
     }
-
-    const watchlistCount = WATCHLIST.length;
-    const trendingCount = solanaAddresses.size - watchlistCount;
-
-    // Debug: log filter rejections for watchlist tokens
-    if (candidates.length === 0 && addresses.length > 0) {
-      const batchUrl2 = `${BASE}/tokens/v1/solana/${addresses.slice(0,5).join(',')}`;
-      const sampleData = await safeFetch(batchUrl2, {}, 15000).catch(() => null);
-      if (Array.isArray(sampleData) && sampleData.length > 0) {
-        const bestPairs2 = new Map();
-        for (const pair of sampleData) {
-          const mint = pair.baseToken?.address;
-          if (!mint) continue;
-          const existing = bestPairs2.get(mint);
-          if (!existing || (pair.liquidity?.usd || 0) > (existing.liquidity?.usd || 0)) {
-            bestPairs2.set(mint, pair);
-          }
-        }
-        for (const pair of [...bestPairs2.values()].slice(0, 3)) {
-          passesFilters(pair, true);
-        }
-      }
+    const pairFailures = failures.filter(f => f.source === 'pairs');
+    if (candidates.length === 0 && pairFailures.length > 0) {
+      writeAlert('ERROR', `Scanner got no pair data: ${pairFailures.map(f => f.error).join(', ')}`, { failures });
     }
 
-    console.log(`[SCANNER] Found ${candidates.length} candidates from ${trendingCount} trending + ${watchlistCount} watchlist tokens`);
+    reportFunnel(funnel);
     return candidates;
 
   } catch (err) {
@@ -186,60 +147,45 @@ async function getTokenPrice(mint) {
     if (Array.isArray(data) && data.length > 0) {
       // Return the pair with highest liquidity
       const sorted = data.sort((a, b) => (b.liquidity?.usd || 0) - (a.liquidity?.usd || 0));
-      return {
+      const priceData = {
         price: parseFloat(sorted[0].priceUsd || 0),
         liquidity: sorted[0].liquidity?.usd || 0,
         volume24h: sorted[0].volume?.h24 || 0,
         priceChange24h: sorted[0].priceChange?.h24 || 0
       };
+      recordPricePoll(mint, priceData);
+      return priceData;
     }
     return null;
   } catch (err) {
-    console.error(`[SCANNER] Price fetch error for ${mint}: ${err.message}`);
+    console.error(`[SCANNER] Price fetch error for ${mint}: ${describeError(err)}`);
     return null;
   }
 }
 
-// Stablecoins and wrapped assets we should never buy (we trade WITH these, not INTO them)
-const EXCLUDED_MINTS = new Set([
-  'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v', // USDC
-  'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB', // USDT
-  'USDH1SM1ojwWUga67PGrgFWUHibbjqMvuMaDkRJTgkX',  // USDH
-  'mSoLzYCxHdYgdzU16g5QSh3i5K3z3KZK7ytfqcJm7So',  // mSOL (liquid staking)
-  'bSo13r4TkiE4KumL71LsHTPpL2euBYLFx6h9HP3piy1',  // bSOL (liquid staking)
-  'J1toso1uCk3RLmjorhTtrVwY9HJ7X8V9yYac6Y7kGCPn', // jitoSOL (liquid staking)
-]);
+/**
+ * Filters a pair fails, each with the offending value and the limit (empty = passes)
+ * @returns {Array<{ reason: string, value: *, limit?: number }>}
+ */
+function filterRejections(pair) {
+  const mint = pair.baseToken?.address || '';
+
+  // Never trade denylisted assets (stablecoins, LSTs, anything added to watchlist.json)
+  const denial = getDenial(mint);
+  if (denial) return [{ reason: 'denylisted', value: denial.reason }];
+  if (isAllowlistOnly() && !getToken(mint)) return [{ reason: 'notWatchlisted', value: null }];
 
-/** Check if a pair meets our minimum filters */
-function passesFilters(pair, verbose = false) {
+  const rejections = [];
+  const { minLiquidityUsd, minVolume24h, minAgeHours } = config.filters;
   const liq = pair.liquidity?.usd || 0;
   const vol = pair.volume?.h24 || 0;
   const age = pair.pairCreatedAt ? (Date.now() - pair.pairCreatedAt) / 3600000 : 0;
-  const symbol = pair.baseToken?.symbol || 'UNKNOWN';
-  const mint = pair.baseToken?.address || '';
-
-  // Never trade stablecoins or excluded assets
-  if (EXCLUDED_MINTS.has(mint)) {
-    if (verbose) console.log(`[SCANNER] ❌ ${symbol}: excluded (stablecoin/wrapped asset)`);
-    return false;
-  }
-
-  const pass = (
-    pair.chainId === 'solana' &&
-    liq >= config.filters.minLiquidityUsd &&
-    vol >= config.filters.minVolume24h &&
-    age >= config.filters.minAgeHours
-  );
-
-  if (!pass && verbose) {
-    const reasons = [];
-    if (liq < config.filters.minLiquidityUsd) reasons.push(`liq $${(liq/1000).toFixed(0)}k < $${config.filters.minLiquidityUsd/1000000}M`);
-    if (vol < config.filters.minVolume24h) reasons.push(`vol $${(vol/1000).toFixed(0)}k < $${config.filters.minVolume24h/1000}k`);
-    if (age < config.filters.minAgeHours) reasons.push(`age ${age.toFixed(0)}h < ${config.filters.minAgeHours}h`);
-    if (verbose) console.log(`[SCANNER] ❌ ${symbol}: ${reasons.join(' | ')}`);
-  }
 
-  return pass;
+  if (pair.chainId !== 'solana') rejections.push({ reason: 'chain', value: pair.chainId });
+  if (liq < minLiquidityUsd) rejections.push({ reason: 'liquidity', value: liq, limit: minLiquidityUsd });
+  if (vol < minVolume24h) rejections.push({ reason: 'volume', value: vol, limit: minVolume24h });
+  if (age < minAgeHours) rejections.push({ reason: 'age', value: age, limit: minAgeHours });
+  return rejections;
 }
 
 /** Normalize a DexScreener pair into our internal format */
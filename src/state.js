@@ -4,19 +4,23 @@
 const fs = require('fs');
 const config = require('../config.json');
 const { writeAlert } = require('./alerts');
+const { now } = require('./utils');
 
 const DEFAULT_STATE = {
   startedAt: new Date().toISOString(),
   capitalUsdc: config.capital.starting,
   initialCapital: config.capital.starting,
-  positions: [],       // { id, token, mint, entryPrice, amount, usdcSpent, openedAt, stopLoss, takeProfit }
+  positions: [],       // { id, token, mint, entryPrice, amount, usdcSpent, openedAt, stopLoss, takeProfit, costBasis?, realizedPnl?, partialCloses? }
   closedTrades: [],    // { ...position, exitPrice, usdcReceived, closedAt, pnl, pnlPercent, reason }
   totalPnl: 0,
   tradeCount: 0,
-  killSwitchTriggered: false
+  killSwitchTriggered: false,
+  lossLimit: null,     // { rule, message, value, limit, trippedAt, pausedUntil } while a loss limit pauses entries
+  strategyGuards: {}   // strategy -> { action: 'pause'|'reduce', trippedAt, expectancy, until?|factor? }
 };
 
 let state = null;
+let persist = true; // false = in-memory only (backtests never touch state.json)
 
 /** Load state from disk or create default */
 function loadState() {
@@ -38,8 +42,25 @@ function loadState() {
   return state;
 }
 
+/**
+ * Start from a fresh state that is kept in memory only
+ * @param {object} overrides - Fields to override on the default state
+ */
+function useMemoryState(overrides = {}) {
+  persist = false;
+  state = {
+    ...DEFAULT_STATE,
+    startedAt: new Date(now()).toISOString(),
+    positions: [],
+    closedTrades: [],
+    ...overrides
+  };
+  return state;
+}
+
 /** Save state to disk */
 function saveState() {
+  if (!persist) return;
   try {
     fs.writeFileSync(config.stateFile, JSON.stringify(state, null, 2));
   } catch (err) {
@@ -57,25 +78,77 @@ function addPosition(pos) {
   saveState();
 }
 
-/** Close a position and move to history */
+/** Cost basis of what's still open (usdcSpent minus tranches already sold) */
+function remainingCost(pos) {
+  return pos.costBasis ?? pos.usdcSpent;
+}
+
+/**
+ * Close part of a position (scaled exit)
+ * Realizes PnL on the sold share of the cost basis; the rest stays open.
+ * @param {string} posId - Position ID
+ * @param {string|number} soldAmount - Raw token amount sold (base amount for Drift shorts)
+ * @param {number} exitPrice - Fill price
+ * @param {number} usdcReceived - USDC returned by the partial sale
+ * @param {string} reason - e.g. 'TAKE_PROFIT_1'
+ */
+function partialClosePosition(posId, soldAmount, exitPrice, usdcReceived, reason) {
+  const pos = state.positions.find(p => p.id === posId);
+  if (!pos) return null;
+
+  const isShort = pos.strategy === 'driftShort';
+  const held = isShort ? pos.baseAmount : Number(pos.amount);
+  const fraction = Math.min(1, Number(soldAmount) / held);
+  const cost = remainingCost(pos) * fraction;
+  const pnl = usdcReceived - cost;
+
+  if (isShort) pos.baseAmount = held - Number(soldAmount);
+  else pos.amount = (BigInt(pos.amount) - BigInt(soldAmount)).toString();
+
+  const tranche = {
+    amount: soldAmount, exitPrice, usdcReceived,
+    costBasis: Number(cost.toFixed(4)),
+    pnl: Number(pnl.toFixed(4)),
+    closedAt: new Date(now()).toISOString(),
+    reason
+  };
+  pos.costBasis = Number((remainingCost(pos) - cost).toFixed(4));
+  pos.realizedPnl = Number(((pos.realizedPnl || 0) + pnl).toFixed(4));
+  pos.partialCloses = [...(pos.partialCloses || []), tranche];
+
+  state.totalPnl = Number((state.totalPnl + pnl).toFixed(4));
+  state.capitalUsdc = Number((state.capitalUsdc + usdcReceived).toFixed(4));
+  saveState();
+
+  writeAlert('TRADE_PARTIAL_CLOSE', `Partial close ${pos.token} (${(fraction * 100).toFixed(0)}% of remaining): ${pnl >= 0 ? '+' : ''}$${pnl.toFixed(2)} [${reason}]`, { positionId: pos.id, token: pos.token, mint: pos.mint, ...tranche });
+  return tranche;
+}
+
+/**
+ * Close a position and move to history
+ * PnL on the closed trade includes any partial closes taken earlier.
+ */
 function closePosition(posId, exitPrice, usdcReceived, reason) {
   const idx = state.positions.findIndex(p => p.id === posId);
   if (idx === -1) return null;
 
   const pos = state.positions.splice(idx, 1)[0];
-  const pnl = usdcReceived - pos.usdcSpent;
+  const finalPnl = usdcReceived - remainingCost(pos);
+  const partialUsdc = (pos.partialCloses || []).reduce((sum, t) => sum + t.usdcReceived, 0);
+  const pnl = (pos.realizedPnl || 0) + finalPnl;
   const pnlPercent = (pnl / pos.usdcSpent) * 100;
 
   const closed = {
-    ...pos, exitPrice, usdcReceived,
-    closedAt: new Date().toISOString(),
+    ...pos, exitPrice,
+    usdcReceived: Number((usdcReceived + partialUsdc).toFixed(4)),
+    closedAt: new Date(now()).toISOString(),
     pnl: Number(pnl.toFixed(4)),
     pnlPercent: Number(pnlPercent.toFixed(2)),
     reason
   };
 
   state.closedTrades.push(closed);
-  state.totalPnl = Number((state.totalPnl + pnl).toFixed(4));
+  state.totalPnl = Number((state.totalPnl + finalPnl).toFixed(4));
   state.capitalUsdc = Number((state.capitalUsdc + usdcReceived).toFixed(4));
   saveState();
 
@@ -89,11 +162,15 @@ function deductCapital(amount) {
   saveState();
 }
 
-/** Set kill switch */
-function triggerKillSwitch() {
+/**
+ * Set kill switch
+ * @param {object} details - Extra alert data (e.g. reason, equity snapshot)
+ */
+function triggerKillSwitch(details = {}) {
   state.killSwitchTriggered = true;
+  state.killSwitchAt = new Date(now()).toISOString();
   saveState();
-  writeAlert('ERROR', 'KILL SWITCH TRIGGERED - stopping all trading', { totalPnl: state.totalPnl });
+  writeAlert('ERROR', `KILL SWITCH TRIGGERED - stopping all trading${details.reason ? `: ${details.reason}` : ''}`, { totalPnl: state.totalPnl, ...details });
 }
 
-module.exports = { loadState, saveState, getState, addPosition, closePosition, deductCapital, triggerKillSwitch };
+module.exports = { loadState, useMemoryState, saveState, getState, addPosition, partialClosePosition, closePosition, remainingCost, deductCapital, triggerKillSwitch };
@@ -0,0 +1,122 @@
+/**
+ * Breakout strategy - Donchian channel breakouts confirmed by volume
+ *
+ * Entry: the last closed bar closes above the high of the previous
+ *        channelPeriod bars, on volume >= volumeMultiplier x their average
+ * Stop:  the channel low (clamped to minStopPercent..maxStopPercent below entry)
+ * Exit:  close below the low of the last exitPeriod bars (trailing channel),
+ *        or the stop; take-profit is a far backstop at rewardRisk x the stop distance
+ *
+ * Settings: config.strategies.breakout (timeframe, channelPeriod, exitPeriod,
+ * volumeMultiplier, minStopPercent, maxStopPercent, rewardRisk).
+ */
+const config = require('../../config.json');
+const { getCandles } = require('../candles');
+const { last, mean, donchian } = require('../indicators');
+
+const DEFAULTS = {
+  enabled: false,
+  timeframe: '15m',
+  channelPeriod: 20,
+  exitPeriod: 10,
+  volumeMultiplier: 1.5,
+  minStopPercent: 2,
+  maxStopPercent: 12,
+  rewardRisk: 3
+};
+
+function settings() {
+  return { ...DEFAULTS, ...config.strategies?.breakout };
+}
+
+function analyzeBreakout(token) {
+  const cfg = settings();
+  const bars = getCandles(token.mint, cfg.timeframe, { closedOnly: true });
+  if (bars.length < cfg.channelPeriod + 1) return null;
+
+  const bar = bars[bars.length - 1];
+  const channel = donchian(bars, cfg.channelPeriod);
+  const high = last(channel.upper);
+  if (high === null || bar.close <= high) return null;
+
+  const avgVolume = mean(bars.slice(-cfg.channelPeriod - 1, -1).map(b => b.volume));
+  if (!(avgVolume > 0)) return null;
+  const volumeRatio = bar.volume / avgVolume;
+  if (volumeRatio < cfg.volumeMultiplier) return null;
+
+  const reasons = [];
+  let score = 40;
+
+  const breakoutPercent = (bar.close - high) / high * 100;
+  score += Math.min(20, breakoutPercent * 5);
+  reasons.push(`Close ${breakoutPercent.toFixed(1)}% above ${cfg.channelPeriod}-bar high`);
+
+  score += Math.min(25, (volumeRatio - 1) * 10);
+  reasons.push(`Volume ${volumeRatio.toFixed(1)}x average`);
+
+  // Trend confirmation from DexScreener windows
+  if (token.priceChange6h > 0 && token.priceChange24h > 0) {
+    score += 10;
+    reasons.push('Sustained uptrend');
+  }
+
+  // Chasing a vertical candle is how breakouts fail
+  if (token.priceChange1h > 15) {
+    score -= 20;
+    reasons.push(`1h +${token.priceChange1h.toFixed(1)}% (extended)`);
+  }
+
+  return {
+    score: Math.max(0, Math.min(100, Math.round(score))),
+    strategy: 'breakout',
+    reasons,
+    token: token.token,
+    mint: token.mint,
+    price: token.price,
+    indicators: {
+      channelHigh: high,
+      channelLow: last(channel.lower),
+      volumeRatio: Number(volumeRatio.toFixed(2)),
+      timeframe: cfg.timeframe
+    }
+  };
+}
+
+/**
+ * Stop at the channel low, TP as a far backstop (the trailing channel does the exiting)
+ */
+function breakoutSLTP(entryPrice, mint) {
+  const cfg = settings();
+  const bars = getCandles(mint, cfg.timeframe, { closedOnly: true });
+  const channelLow = bars.length >= cfg.channelPeriod
+    ? Math.min(...bars.slice(-cfg.channelPeriod).map(b => b.low))
+    : null;
+
+  let stopPercent = channelLow ? (entryPrice - channelLow) / entryPrice * 100 : cfg.maxStopPercent;
+  stopPercent = Math.min(cfg.maxStopPercent, Math.max(cfg.minStopPercent, stopPercent));
+
+  return {
+    stopLoss: entryPrice * (1 - stopPercent / 100),
+    takeProfit: entryPrice * (1 + stopPercent * cfg.rewardRisk / 100)
+  };
+}
+
+/**
+ * Trailing channel: close once price drops below the last exitPeriod bars' low
+ */
+function channelExit(position, currentPrice) {
+  const cfg = settings();
+  const bars = getCandles(position.mint, cfg.timeframe, { closedOnly: true });
+  if (bars.length < cfg.exitPeriod) return null;
+
+  const exitLow = Math.min(...bars.slice(-cfg.exitPeriod).map(b => b.low));
+  return currentPrice < exitLow ? 'CHANNEL_EXIT' : null;
+}
+
+module.exports = {
+  name: 'breakout',
+  analyze: analyzeBreakout,
+  defaults: { enabled: DEFAULTS.enabled, regimes: ['trending-up', 'ranging'], tokenTrends: ['uptrend', 'neutral'] },
+  sltp: breakoutSLTP,
+  exitRules: { shouldExit: channelExit }
+};
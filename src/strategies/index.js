@@ -0,0 +1,91 @@
+/**
+ * Strategy registry - loads every strategy module in this directory
+ *
+ * A strategy module exports:
+ *   name        - unique id, stored on signals and positions
+ *   analyze     - (candidate) => signal { score 0-100, strategy, reasons, token, mint, price } | null
+ *   analyzeUniverse - (candidates) => signal[]; alternative to analyze for strategies that
+ *                 rank tokens against each other (one of the two is required)
+ *   defaults    - optional config defaults (enabled, minScore, capitalShare, maxPositions, regimes, tokenTrends)
+ *   stops       - optional fixed SL/TP { stopPercent, takeProfitPercent } (default: config.risk)
+ *   sltp        - optional (entryPrice, mint) => { stopLoss, takeProfit } replacing the SL/TP policy
+ *   exitRules   - optional { timeStopHours, trailingStop (false or a risk.trailingStop-style override),
+ *                 shouldExit(position, currentPrice) => reason | null }
+ *
+ * Per-strategy settings live in config.strategies[name] and override defaults.
+ * Dropping a new file here registers it; no other edits are needed.
+ */
+const fs = require('fs');
+const path = require('path');
+const config = require('../../config.json');
+
+const BASE_DEFAULTS = {
+  enabled: true,
+  minScore: 35,        // signals below this score are dropped
+  capitalShare: 1,     // max share of equity this strategy may hold at cost
+  maxPositions: null,  // null = only the global risk.maxPositions applies
+  regimes: null,       // market regimes the strategy runs in (src/regime.js), null = all
+  tokenTrends: null    // the token's own trends entries are allowed in (src/trend.js), null = all
+};
+
+const registry = new Map();
+
+/**
+ * Register a strategy (validates the interface)
+ * @param {object} strategy - Strategy module
+ */
+function registerStrategy(strategy) {
+  if (!strategy || typeof strategy.name !== 'string' ||
+      (typeof strategy.analyze !== 'function' && typeof strategy.analyzeUniverse !== 'function')) {
+    throw new Error('Strategy must export a string `name` and an `analyze` or `analyzeUniverse` function');
+  }
+  if (registry.has(strategy.name)) {
+    throw new Error(`Duplicate strategy name: ${strategy.name}`);
+  }
+  registry.set(strategy.name, strategy);
+}
+
+function loadStrategies() {
+  const files = fs.readdirSync(__dirname)
+    .filter(f => f.endsWith('.js') && f !== 'index.js')
+    .sort();
+  for (const file of files) {
+    registerStrategy(require(path.join(__dirname, file)));
+  }
+
+  for (const name of Object.keys(config.strategies || {})) {
+    if (!registry.has(name)) console.log(`[STRATEGY] config.strategies.${name} has no matching strategy module`);
+  }
+}
+
+/**
+ * Strategy module by name (undefined for unknown names, e.g. driftShort)
+ */
+function getStrategy(name) {
+  return registry.get(name);
+}
+
+/**
+ * Effective settings for a strategy: base defaults < module defaults < config.strategies[name]
+ */
+function getStrategyConfig(name) {
+  return { ...BASE_DEFAULTS, ...registry.get(name)?.defaults, ...config.strategies?.[name] };
+}
+
+/**
+ * Names of every registered strategy
+ */
+function getStrategyNames() {
+  return [...registry.keys()];
+}
+
+/**
+ * Strategies switched on in config, in load order
+ */
+function getEnabledStrategies() {
+  return [...registry.values()].filter(s => getStrategyConfig(s.name).enabled);
+}
+
+loadStrategies();
+
+module.exports = { registerStrategy, getStrategy, getStrategyConfig, getStrategyNames, getEnabledStrategies };
@@ -0,0 +1,168 @@
+/**
+ * Mean reversion strategy - buys oversold tokens expecting a bounce to the mean
+ */
+const { getPriceSeries } = require('../history');
+const { last, mean, stdDev: stdDevSeries, rsi: rsiSeries } = require('../indicators');
+
+const MIN_DATAPOINTS_MR = 20; // need at least 20 bars before triggering
+
+/**
+ * Calculate mean reversion indicators from bar closes (indicator timeframe)
+ */
+function getMeanReversionIndicators(mint, currentPrice) {
+  const hist = getPriceSeries(mint);
+  if (hist.length < MIN_DATAPOINTS_MR) return null;
+
+  const prices = hist.map(h => h.price);
+  const n = prices.length;
+
+  // Mean and spread over the whole window (up to 24h of bars)
+  const sma = mean(prices);
+  const stdDev = last(stdDevSeries(prices, n));
+
+  // Bollinger Band position: how many std devs from mean
+  const zScore = stdDev > 0 ? (currentPrice - sma) / stdDev : 0;
+
+  // Wilder RSI(14)
+  const rsi = last(rsiSeries(prices, 14)) ?? 50;
+
+  // % deviation from SMA
+  const deviationPct = ((currentPrice - sma) / sma) * 100;
+
+  // Recent high/low for drop calculation
+  const recentPrices = prices.slice(-Math.min(48, n)); // last 48 bars (4h of 5m bars)
+  const recentHigh = Math.max(...recentPrices);
+  const dropFromHigh = ((currentPrice - recentHigh) / recentHigh) * 100;
+
+  return { sma, stdDev, zScore, rsi, deviationPct, dropFromHigh, dataPoints: n };
+}
+
+/**
+ * Mean reversion: buy oversold tokens expecting bounce back to mean
+ *
+ * Entry conditions (score >= 35):
+ * - Price significantly below SMA (negative z-score)
+ * - RSI oversold (<35)
+ * - Recent drop from high >5%
+ * - Volume present (not dead token)
+ *
+ * Exit: tighter TP (+8-12%) and SL (-8%) vs momentum
+ */
+function analyzeMeanReversion(token) {
+  let score = 0;
+  const reasons = [];
+
+  // Get mean reversion indicators
+  const mr = getMeanReversionIndicators(token.mint, token.price);
+
+  // If not enough data yet, can still use DexScreener's price changes as proxy
+  if (mr) {
+    // 1. Z-Score: price below mean (negative = oversold)
+    if (mr.zScore < -1.5) {
+      score += Math.min(30, Math.abs(mr.zScore) * 12);
+      reasons.push(`Z-score ${mr.zScore.toFixed(2)} (oversold)`);
+    } else if (mr.zScore < -1.0) {
+      score += Math.min(15, Math.abs(mr.zScore) * 8);
+      reasons.push(`Z-score ${mr.zScore.toFixed(2)}`);
+    }
+
+    // 2. RSI oversold
+    if (mr.rsi < 25) {
+      score += 25;
+      reasons.push(`RSI ${mr.rsi.toFixed(0)} (very oversold)`);
+    } else if (mr.rsi < 35) {
+      score += 15;
+      reasons.push(`RSI ${mr.rsi.toFixed(0)} (oversold)`);
+    }
+
+    // 3. Drop from recent high
+    if (mr.dropFromHigh < -10) {
+      score += 15;
+      reasons.push(`${mr.dropFromHigh.toFixed(1)}% from high`);
+    } else if (mr.dropFromHigh < -5) {
+      score += 8;
+      reasons.push(`${mr.dropFromHigh.toFixed(1)}% from high`);
+    }
+
+    // Penalty: if price is ABOVE mean, this isn't a mean reversion play
+    if (mr.zScore > 0.5) {
+      score -= 30;
+      reasons.push('Above mean (skip)');
+    }
+  } else {
+    // Fallback: use DexScreener price change data as proxy
+    // 24h drop as oversold signal
+    if (token.priceChange24h < -10) {
+      score += 20;
+      reasons.push(`24h ${token.priceChange24h.toFixed(1)}% (proxy oversold)`);
+    } else if (token.priceChange24h < -5) {
+      score += 10;
+      reasons.push(`24h ${token.priceChange24h.toFixed(1)}%`);
+    }
+
+    // 6h drop
+    if (token.priceChange6h < -8) {
+      score += 15;
+      reasons.push(`6h ${token.priceChange6h.toFixed(1)}% (sharp drop)`);
+    } else if (token.priceChange6h < -4) {
+      score += 8;
+      reasons.push(`6h ${token.priceChange6h.toFixed(1)}%`);
+    }
+
+    // 1h showing early bounce (price recovering)
+    if (token.priceChange1h > 0 && token.priceChange6h < -5) {
+      score += 10;
+      reasons.push(`1h +${token.priceChange1h.toFixed(1)}% (bounce starting)`);
+    }
+  }
+
+  // Volume confirmation (need activity, dead tokens don't bounce)
+  if (token.volume1h > 50000) {
+    score += 5;
+    reasons.push('Active volume');
+  } else if (token.volume1h < 10000) {
+    score -= 10;
+    reasons.push('Low volume (risky)');
+  }
+
+  // Buy pressure starting to return
+  const buys = token.txns24h?.buys || 0;
+  const sells = token.txns24h?.sells || 0;
+  if (buys + sells > 0) {
+    const buyRatio = buys / (buys + sells);
+    if (buyRatio > 0.5 && token.priceChange24h < -5) {
+      score += 10;
+      reasons.push(`Buyers returning (${(buyRatio * 100).toFixed(0)}%)`);
+    }
+  }
+
+  // High liquidity = safer mean reversion play
+  if (token.liquidity > 5000000) {
+    score += 5;
+    reasons.push('High liquidity');
+  }
+
+  // DANGER: if token is in freefall (1h AND 6h both deeply negative), skip
+  if (token.priceChange1h < -5 && token.priceChange6h < -10) {
+    score -= 25;
+    reasons.push('Freefall — wait for stabilization');
+  }
+
+  return {
+    score: Math.max(0, Math.min(100, Math.round(score))),
+    strategy: 'meanReversion',
+    reasons,
+    token: token.token,
+    mint: token.mint,
+    price: token.price,
+    indicators: mr || null
+  };
+}
+
+module.exports = {
+  name: 'meanReversion',
+  analyze: analyzeMeanReversion,
+  // Tighter: -8% SL, +10% TP (mean reversion = smaller, faster trades)
+  stops: { stopPercent: 8, takeProfitPercent: 10 },
+  defaults: { regimes: ['trending-up', 'ranging', 'high-vol-chop'], tokenTrends: ['uptrend', 'neutral'] }
+};
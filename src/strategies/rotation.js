@@ -0,0 +1,175 @@
+/**
+ * Rotation strategy - holds the watchlist tokens with the strongest
+ * risk-adjusted relative strength against SOL
+ *
+ * Every rebalanceHours the watchlist is ranked on hourly bars:
+ *   RS(L)    = token return over L hours - SOL return over L hours
+ *   score(L) = RS(L) / (token hourly return stdDev x sqrt(L))
+ * averaged over lookbackHours, on closed bars only: backfilled (interpolated)
+ * bars are left out, and the first rebalance waits until SOL has real bars
+ * for the longest lookback. The top-K with a positive score get buy
+ * signals; a held token is only rotated out once it falls below rank
+ * topK + hysteresisRanks (or its score turns negative), so names near the
+ * cut-off don't churn.
+ *
+ * The ranking is kept under state.rotation so exits survive restarts.
+ * Settings: config.strategies.rotation.
+ */
+const config = require('../../config.json');
+const { getState, saveState } = require('../state');
+const { getCandles, maxBars } = require('../candles');
+const { getWatchlist } = require('../watchlist');
+const { returns, stdDev, last } = require('../indicators');
+const { now } = require('../utils');
+
+const DEFAULTS = {
+  enabled: false,
+  minScore: 0,
+  topK: 3,
+  hysteresisRanks: 2,
+  rebalanceHours: 24,
+  lookbackHours: [24, 72, 168],
+  stopPercent: 15,
+  takeProfitPercent: 100,
+  timeStopHours: 336
+};
+
+function settings() {
+  return { ...DEFAULTS, ...config.strategies?.rotation };
+}
+
+/**
+ * The longest lookback needs lookback + 1 closed 1h bars, plus the bar still forming
+ * @throws {Error} If candles.maxBars["1h"] can't hold them
+ */
+function checkLookbacks() {
+  const longest = Math.max(...settings().lookbackHours);
+  const needed = longest + 2;
+  if (maxBars('1h') < needed) {
+    throw new Error(`strategies.rotation.lookbackHours ${longest} needs ${needed} 1h bars, but candles.maxBars["1h"] is ${maxBars('1h')}`);
+  }
+}
+
+let waitingLogged = false;
+
+/**
+ * Closed 1h bars after the last backfilled one
+ */
+function realBars(mint) {
+  const bars = getCandles(mint, '1h', { closedOnly: true });
+  return bars.slice(bars.findLastIndex(b => b.backfilled) + 1);
+}
+
+/**
+ * Risk-adjusted relative strength of one token vs SOL, null until it has real bars for every lookback
+ */
+function relativeStrength(mint, solBars, lookbacks) {
+  const bars = realBars(mint);
+  if (bars.length < Math.max(...lookbacks) + 1) return null;
+  const scores = [];
+
+  for (const hours of lookbacks) {
+    const closes = bars.slice(-hours - 1).map(b => b.close);
+    const solCloses = solBars.slice(-hours - 1).map(b => b.close);
+
+    const tokenReturn = closes[closes.length - 1] / closes[0] - 1;
+    const solReturn = solCloses[solCloses.length - 1] / solCloses[0] - 1;
+    const hourlyVol = last(stdDev(returns(closes), hours));
+    if (!(hourlyVol > 0)) continue;
+
+    scores.push((tokenReturn - solReturn) / (hourlyVol * Math.sqrt(hours)));
+  }
+
+  return scores.length ? scores.reduce((a, b) => a + b, 0) / scores.length : null;
+}
+
+/**
+ * Rank the watchlist (SOL excluded) by relative strength
+ * @returns {Array<{ mint: string, token: string, score: number, rank: number }>|null} null while SOL lacks bars for the longest lookback
+ */
+function rankWatchlist() {
+  const cfg = settings();
+  const solBars = realBars(config.mints.SOL);
+  const needed = Math.max(...cfg.lookbackHours) + 1;
+  if (solBars.length < needed) {
+    if (!waitingLogged) console.log(`[ROTATION] Waiting for ${needed} closed 1h bars of SOL (have ${solBars.length}); rebalance deferred`);
+    waitingLogged = true;
+    return null;
+  }
+  waitingLogged = false;
+
+  return getWatchlist()
+    .filter(w => w.mint !== config.mints.SOL)
+    .map(w => ({ mint: w.mint, token: w.symbol, score: relativeStrength(w.mint, solBars, cfg.lookbackHours) }))
+    .filter(r => r.score !== null)
+    .sort((a, b) => b.score - a.score)
+    .map((r, i) => ({ ...r, score: Number(r.score.toFixed(4)), rank: i + 1 }));
+}
+
+/**
+ * On the rebalance schedule: re-rank and signal the top-K (held names are skipped by the scan loop)
+ * @param {object[]} candidates - This scan's candidates (for current prices)
+ * @returns {object[]} Signals
+ */
+function analyzeRotation(candidates) {
+  const cfg = settings();
+  const state = getState();
+  const lastRanked = state.rotation?.rankedAt ? Date.parse(state.rotation.rankedAt) : 0;
+  if (now() - lastRanked < cfg.rebalanceHours * 3600000) return [];
+
+  // rankedAt is only set once a ranking exists, so a deferred rebalance is retried next scan
+  const ranking = rankWatchlist();
+  if (!ranking || ranking.length === 0) return [];
+
+  state.rotation = { rankedAt: new Date(now()).toISOString(), ranking };
+  saveState();
+  console.log(`[ROTATION] Ranked ${ranking.length}: ${ranking.slice(0, cfg.topK + cfg.hysteresisRanks).map(r => `${r.rank}.${r.token} ${r.score}`).join(' | ')}`);
+
+  const prices = new Map(candidates.map(c => [c.mint, c.price]));
+  return ranking
+    .filter(r => r.rank <= cfg.topK && r.score > 0 && prices.get(r.mint) > 0)
+    .map(r => ({
+      score: Math.max(0, 100 - (r.rank - 1) * 10),
+      strategy: 'rotation',
+      reasons: [`RS rank ${r.rank}/${ranking.length}`, `Risk-adjusted RS vs SOL ${r.score}`],
+      token: r.token,
+      mint: r.mint,
+      price: prices.get(r.mint),
+      indicators: { rank: r.rank, relativeStrength: r.score }
+    }));
+}
+
+/**
+ * Rotate out once the latest ranking drops the token past the hysteresis band
+ */
+function rotationExit(position) {
+  const cfg = settings();
+  const ranking = getState().rotation?.ranking;
+  if (!ranking) return null;
+
+  const entry = ranking.find(r => r.mint === position.mint);
+  if (!entry || entry.rank > cfg.topK + cfg.hysteresisRanks || entry.score < 0) return 'ROTATION_EXIT';
+  return null;
+}
+
+function rotationSLTP(entryPrice) {
+  const cfg = settings();
+  return {
+    stopLoss: entryPrice * (1 - cfg.stopPercent / 100),
+    takeProfit: entryPrice * (1 + cfg.takeProfitPercent / 100)
+  };
+}
+
+checkLookbacks();
+
+module.exports = {
+  name: 'rotation',
+  analyzeUniverse: analyzeRotation,
+  defaults: { enabled: DEFAULTS.enabled, minScore: DEFAULTS.minScore, regimes: ['trending-up', 'ranging', 'high-vol-chop'] },
+  sltp: rotationSLTP,
+  exitRules: {
+    timeStopHours: settings().timeStopHours,
+    trailingStop: false, // held until ranked out, not trailed out
+    shouldExit: rotationExit
+  }
+};
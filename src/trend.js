@@ -1,21 +1,62 @@
 /**
- * Trend detection filter - determines market direction using SMA
+ * Trend detection filter - determines direction from the deviation to an SMA
  *
- * Used to decide whether to allow long entries or open shorts instead.
- * Uptrend → longs OK, Downtrend → skip longs, open shorts
+ * Deviation above +thresholdPercent is an uptrend, below -thresholdPercent a
+ * downtrend.
+ * - getMarketTrend: SOL against its 7-day SMA from CoinGecko/DexScreener;
+ *   stands in for the regime classifier (src/regime.js) while SOL's hourly
+ *   bars are still warming up
+ * - getTokenTrend: any token against the SMA of its own higher-timeframe bars,
+ *   cached per mint; entries are checked against it (strategy `tokenTrends`)
+ * Settings: config.trend.
  */
-const { safeFetch } = require('./utils');
+const config = require('../config.json');
+const { safeFetch, now: clockNow } = require('./utils');
 const { writeAlert } = require('./alerts');
+const { getCandles } = require('./candles');
+const { getPrice, isTrusted } = require('./oracle');
+const { mean } = require('./indicators');
+
+const TREND_DEFAULTS = {
+  thresholdPercent: 3,   // deviation from the SMA that counts as a trend
+  timeframe: '1h',       // per-token trend bars
+  smaBars: 168,          // SMA length (7 days of hourly bars; fewer are used while history builds)
+  minBars: 24,           // per-token trend is 'unknown' below this
+  cacheMinutes: 5
+};
+
+function trendSettings() {
+  return { ...TREND_DEFAULTS, ...config.trend };
+}
+
+/**
+ * Label a price series by the last price's deviation from the series SMA
+ * @param {number[]} prices - Oldest first
+ * @returns {{ trend: string, currentPrice: number, sma: number, deviation: number }}
+ */
+function classifyTrend(prices, thresholdPercent = trendSettings().thresholdPercent) {
+  const currentPrice = prices[prices.length - 1];
+  const sma = mean(prices);
+  const deviation = ((currentPrice - sma) / sma) * 100;
+  const trend = deviation > thresholdPercent ? 'uptrend' : deviation < -thresholdPercent ? 'downtrend' : 'neutral';
+  return { trend, currentPrice, sma, deviation };
+}
 
 // Cache trend result for 5 minutes to avoid API spam
 let cachedTrend = null;
 let cacheTimestamp = 0;
 const CACHE_TTL_MS = 5 * 60 * 1000;
 
-// Rolling price history for SMA calculation
-const priceHistory = [];
+// Rolling price history for SMA calculation: [{ price, ts }]
+let priceHistory = [];
 const MAX_HISTORY = 7 * 24; // 7 days of hourly data points
 
+/** True if the last point is older than history.trendMaxGapHours */
+function isStale(ts) {
+  const maxGapMs = (config.history?.trendMaxGapHours || 12) * 60 * 60 * 1000;
+  return Date.now() - ts > maxGapMs;
+}
+
 /**
  * Fetch SOL price history from DexScreener or CoinGecko
  * Returns array of prices (oldest first)
@@ -44,15 +85,19 @@ async function fetchPriceHistory() {
         p.quoteToken?.symbol === 'USDC' && p.liquidity?.usd > 1000000
       ) || data.pairs[0];
 
-      const currentPrice = pair.priceUsd ? parseFloat(pair.priceUsd) : null;
+      // Rolling history points come from the oracle when it's trusted, else the pair price
+      const quote = await getPrice(config.mints.SOL).catch(() => null);
+      const currentPrice = quote && isTrusted(quote) ? quote.price : pair.priceUsd ? parseFloat(pair.priceUsd) : null;
       if (currentPrice) {
-        // Add to rolling history
-        priceHistory.push(currentPrice);
+        // Add to rolling history (a long gap makes the old points meaningless)
+        const last = priceHistory[priceHistory.length - 1];
+        if (last && isStale(last.ts)) priceHistory = [];
+        priceHistory.push({ price: currentPrice, ts: Date.now() });
         if (priceHistory.length > MAX_HISTORY) priceHistory.shift();
 
         // If we have enough history, use it
         if (priceHistory.length >= 24) {
-          return [...priceHistory];
+          return priceHistory.map(p => p.price);
         }
 
         // Otherwise use price changes as proxy
@@ -84,14 +129,6 @@ async function fetchPriceHistory() {
   return null;
 }
 
-/**
- * Calculate Simple Moving Average
- */
-function calcSMA(prices) {
-  if (!prices || prices.length === 0) return 0;
-  return prices.reduce((a, b) => a + b, 0) / prices.length;
-}
-
 /**
  * Get the current market trend for SOL
  * @returns {Promise<{trend: string, currentPrice: number, sma7d: number, deviation: number}>}
@@ -111,19 +148,7 @@ async function getMarketTrend() {
       return { trend: 'neutral', currentPrice: 0, sma7d: 0, deviation: 0 };
     }
 
-    const currentPrice = prices[prices.length - 1];
-    const sma7d = calcSMA(prices);
-    const deviation = ((currentPrice - sma7d) / sma7d) * 100;
-
-    let trend;
-    if (deviation > 3) {
-      trend = 'uptrend';
-    } else if (deviation < -3) {
-      trend = 'downtrend';
-    } else {
-      trend = 'neutral';
-    }
-
+    const { trend, currentPrice, sma: sma7d, deviation } = classifyTrend(prices);
     const result = { trend, currentPrice, sma7d, deviation };
 
     // Cache result
@@ -138,4 +163,57 @@ async function getMarketTrend() {
   }
 }
 
-module.exports = { getMarketTrend, fetchPriceHistory, calcSMA };
+// Per-token trend cache: mint -> { result, at }
+const tokenTrendCache = new Map();
+
+/**
+ * Trend of one token from its own higher-timeframe bars (no network), cached per mint
+ * @param {string} mint - Token mint
+ * @returns {{ trend: string, timeframe: string, bars: number, price?: number, sma?: number, deviation?: number, at: number }}
+ *   trend: 'uptrend' | 'downtrend' | 'neutral' | 'unknown' (fewer than trend.minBars bars)
+ */
+function getTokenTrend(mint) {
+  const cfg = trendSettings();
+  const cached = tokenTrendCache.get(mint);
+  if (cached && clockNow() - cached.at < cfg.cacheMinutes * 60000) return cached.result;
+
+  const closes = getCandles(mint, cfg.timeframe).slice(-cfg.smaBars).map(b => b.close);
+  let result = { trend: 'unknown', timeframe: cfg.timeframe, bars: closes.length, at: clockNow() };
+  if (closes.length >= cfg.minBars) {
+    const { trend, currentPrice, sma, deviation } = classifyTrend(closes, cfg.thresholdPercent);
+    result = { ...result, trend, price: currentPrice, sma, deviation: Number(deviation.toFixed(2)) };
+  }
+
+  tokenTrendCache.set(mint, { result, at: result.at });
+  return result;
+}
+
+/**
+ * True if a token trend passes a strategy's `tokenTrends` list (no list or 'unknown' always passes)
+ */
+function tokenTrendAllows(allowed, trend) {
+  return !Array.isArray(allowed) || trend === 'unknown' || allowed.includes(trend);
+}
+
+/**
+ * Copy of the rolling SOL history for snapshotting
+ */
+function exportTrendHistory() {
+  return [...priceHistory];
+}
+
+/**
+ * Restore the rolling SOL history from a snapshot (ignored if it's gone stale)
+ * @returns {number} Points loaded
+ */
+function importTrendHistory(points) {
+  if (!Array.isArray(points) || points.length === 0) return 0;
+  const valid = points.filter(p => p && p.price > 0 && p.ts > 0);
+  if (valid.length === 0 || isStale(valid[valid.length - 1].ts)) return 0;
+  priceHistory = valid.slice(-MAX_HISTORY);
+  return priceHistory.length;
+}
+
+module.exports = {
+  getMarketTrend, getTokenTrend, tokenTrendAllows, classifyTrend, fetchPriceHistory, exportTrendHistory, importTrendHistory
+};
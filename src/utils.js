@@ -1,25 +1,17 @@
 /**
  * Utility helpers
  */
-const fetch = require('node-fetch');
+const { request } = require('./http');
 
 /** Sleep for ms */
 const sleep = (ms) => new Promise(r => setTimeout(r, ms));
 
-/** Safe fetch with timeout and error handling */
+/**
+ * JSON fetch through the resilient HTTP client (rate limits, retries, breakers, cache)
+ * Throws the typed errors from src/http.js.
+ */
 async function safeFetch(url, options = {}, timeoutMs = 10000) {
-  const controller = new AbortController();
-  const timer = setTimeout(() => controller.abort(), timeoutMs);
-  try {
-    const res = await fetch(url, { ...options, signal: controller.signal });
-    if (!res.ok) throw new Error(`HTTP ${res.status}: ${res.statusText}`);
-    return await res.json();
-  } catch (err) {
-    if (err.name === 'AbortError') throw new Error(`Fetch timeout: ${url}`);
-    throw err;
-  } finally {
-    clearTimeout(timer);
-  }
+  return request(url, { ...options, timeoutMs });
 }
 
 /** Format USD amount */
@@ -31,7 +23,16 @@ function pctChange(from, to) { return ((to - from) / from) * 100; }
 /** Truncate token address for display */
 function shortAddr(addr) { return addr ? `${addr.slice(0, 4)}...${addr.slice(-4)}` : '???'; }
 
+// Clock source — swapped out by the backtester to replay recorded time
+let clock = () => Date.now();
+
+/** Current timestamp in ms */
+function now() { return clock(); }
+
+/** Override the clock (pass null to restore wall-clock time) */
+function setClock(fn) { clock = fn || (() => Date.now()); }
+
 /** Current unix timestamp in seconds */
-function nowSec() { return Math.floor(Date.now() / 1000); }
+function nowSec() { return Math.floor(now() / 1000); }
 
-module.exports = { sleep, safeFetch, fmtUsd, pctChange, shortAddr, nowSec };
+module.exports = { sleep, safeFetch, fmtUsd, pctChange, shortAddr, now, setClock, nowSec };
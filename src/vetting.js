@@ -0,0 +1,300 @@
+/**
+ * Token vetting - on-chain safety checks run before every buy
+ *
+ * Reads the token over RPC and blocks it when:
+ *   - the mint authority is still set (supply can be inflated) or the freeze
+ *     authority is (holders can be frozen)
+ *   - it is a Token-2022 mint with a transfer fee above maxTransferFeeBps or an
+ *     active extension in blockedExtensions (transfer hook, permanent delegate, ...)
+ *   - the top `topHolders` wallets hold more than maxTopHolderPercent of supply;
+ *     accounts owned by programs (pool vaults, lockers) and ignoreHolders don't count
+ *   - its pool has an LP mint (Raydium AMM v4 / CPMM) and less than
+ *     minLpLockedPercent of the LP is burned or held by lpLockers; pools without
+ *     an LP mint (CLMM, Whirlpool, DLMM) can't be checked and pass
+ *
+ * inspectToken() gathers the facts, assessToken() is the pure rule set over them.
+ * Verdicts are cached per mint for cacheMinutes (RPC failures for errorCacheMinutes).
+ * setConnection() points the reads at a local validator or a fixture connection.
+ * Settings: config.vetting.
+ *
+ * Usage: node src/vetting.js <mint> [--rpc http://127.0.0.1:8899] [--pair <pairAddress>]
+ */
+const { Connection, PublicKey } = require('@solana/web3.js');
+const config = require('../config.json');
+const { safeFetch, now } = require('./utils');
+const { describeError } = require('./http');
+const { getToken } = require('./watchlist');
+
+const DEFAULTS = {
+  enabled: true,
+  rpcUrl: null,                 // defaults to config.rpc
+  cacheMinutes: 60,
+  errorCacheMinutes: 2,
+  blockOnError: true,           // block the buy when the checks can't run
+  skipWatchlist: true,          // watchlist tokens are hand-picked
+  allowMintAuthority: false,
+  allowFreezeAuthority: false,
+  maxTransferFeeBps: 0,
+  blockedExtensions: ['transferHook', 'permanentDelegate', 'nonTransferable', 'defaultAccountState'],
+  topHolders: 10,
+  maxTopHolderPercent: 50,
+  ignoreHolders: [],            // owners left out of the concentration check (e.g. exchange wallets)
+  minLpLockedPercent: 90,
+  lpLockers: []                 // owners whose LP tokens count as locked
+};
+
+// Pool programs with an LP mint: byte offsets of the LP mint and the LP amount the pool has issued
+const LP_POOLS = {
+  '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8': { name: 'raydium-amm-v4', lpMint: 464, lpIssued: 720 },
+  'CPMMoo8L3F4NbTegBCKVNunggL7H1ZpdTHKxQB5qKP1R': { name: 'raydium-cpmm', lpMint: 136, lpIssued: 333 }
+};
+
+const cache = new Map(); // mint -> { result, expires }
+let connection = null;
+
+function settings() {
+  return { ...DEFAULTS, ...config.vetting };
+}
+
+function getConnection() {
+  if (!connection) {
+    connection = new Connection(settings().rpcUrl || config.rpc.helius || config.rpc.fallback, 'confirmed');
+  }
+  return connection;
+}
+
+/**
+ * Read from another connection (a local validator, or a fixture object with the same methods); null restores the default
+ */
+function setConnection(conn) {
+  connection = conn;
+  cache.clear();
+}
+
+function percentOf(amount, total) {
+  if (total === 0n) return 0;
+  return Number(amount * 1000000n / total) / 10000;
+}
+
+function isProgramOwned(owner) {
+  try {
+    return !PublicKey.isOnCurve(new PublicKey(owner).toBytes());
+  } catch (_) {
+    return false;
+  }
+}
+
+/** Extension names that are active (a hook or delegate cleared to null is not) */
+function activeExtensions(extensions = []) {
+  return extensions
+    .filter(e => {
+      if (e.extension === 'transferHook') return !!e.state?.programId;
+      if (e.extension === 'permanentDelegate') return !!e.state?.delegate;
+      return true;
+    })
+    .map(e => e.extension);
+}
+
+function transferFeeBps(extensions = []) {
+  const fee = extensions.find(e => e.extension === 'transferFeeConfig')?.state;
+  if (!fee) return 0;
+  return Math.max(fee.newerTransferFee?.transferFeeBasisPoints || 0, fee.olderTransferFee?.transferFeeBasisPoints || 0);
+}
+
+/**
+ * Largest holders by owner, with their share of supply
+ */
+async function readHolders(conn, mintKey, supply, cfg) {
+  const largest = (await conn.getTokenLargestAccounts(mintKey)).value;
+  const accounts = largest.length
+    ? (await conn.getMultipleParsedAccounts(largest.map(a => new PublicKey(a.address)))).value
+    : [];
+
+  const byOwner = new Map();
+  largest.forEach((a, i) => {
+    const owner = accounts[i]?.data?.parsed?.info?.owner || a.address.toString();
+    byOwner.set(owner, (byOwner.get(owner) || 0n) + BigInt(a.amount));
+  });
+
+  return [...byOwner.entries()]
+    .map(([owner, amount]) => ({
+      owner,
+      percent: percentOf(amount, supply),
+      ignored: cfg.ignoreHolders.includes(owner) || isProgramOwned(owner)
+    }))
+    .sort((a, b) => b.percent - a.percent);
+}
+
+/**
+ * LP lock/burn state of a pool, null when the pool has no LP mint we can read
+ */
+async function readPool(conn, pairAddress, cfg) {
+  const info = await conn.getAccountInfo(new PublicKey(pairAddress));
+  const layout = info && LP_POOLS[info.owner.toString()];
+  if (!layout || info.data.length < layout.lpIssued + 8) return null;
+
+  const lpMint = new PublicKey(info.data.subarray(layout.lpMint, layout.lpMint + 32));
+  const issued = info.data.readBigUInt64LE(layout.lpIssued);
+  if (issued === 0n) return null;
+
+  const supply = BigInt((await conn.getTokenSupply(lpMint)).value.amount);
+  const burned = issued > supply ? issued - supply : 0n;
+
+  let locked = 0n;
+  if (cfg.lpLockers.length) {
+    const largest = (await conn.getTokenLargestAccounts(lpMint)).value;
+    const accounts = largest.length
+      ? (await conn.getMultipleParsedAccounts(largest.map(a => new PublicKey(a.address)))).value
+      : [];
+    largest.forEach((a, i) => {
+      if (cfg.lpLockers.includes(accounts[i]?.data?.parsed?.info?.owner)) locked += BigInt(a.amount);
+    });
+  }
+
+  return {
+    pool: layout.name,
+    pairAddress,
+    lpMint: lpMint.toBase58(),
+    burnedPercent: percentOf(burned, issued),
+    lockedPercent: percentOf(locked, issued)
+  };
+}
+
+/**
+ * Highest-liquidity pair for a mint from DexScreener (null if none)
+ */
+async function findPair(mint) {
+  const pairs = await safeFetch(`${config.apis.dexscreener}/tokens/v1/solana/${mint}`, {}, 10000);
+  if (!Array.isArray(pairs) || pairs.length === 0) return null;
+  return pairs.reduce((best, p) => ((p.liquidity?.usd || 0) > (best.liquidity?.usd || 0) ? p : best)).pairAddress;
+}
+
+/**
+ * Read the facts the checks run on
+ * @param {string} mint - Token mint
+ * @param {{ pairAddress?: string }} [ctx] - Pool to check the LP of (looked up on DexScreener when missing)
+ * @returns {Promise<object>} { mint, program, mintAuthority, freezeAuthority, extensions, transferFeeBps, holders, lp }
+ * @throws {Error} If the mint can't be read
+ */
+async function inspectToken(mint, ctx = {}, cfg = settings()) {
+  const conn = getConnection();
+  const mintKey = new PublicKey(mint);
+  const account = (await conn.getParsedAccountInfo(mintKey)).value;
+  const parsed = account?.data?.parsed;
+  if (!parsed || parsed.type !== 'mint') throw new Error(`${mint} is not a token mint`);
+  const info = parsed.info;
+
+  const holders = await readHolders(conn, mintKey, BigInt(info.supply), cfg);
+
+  let lp = null;
+  try {
+    const pairAddress = ctx.pairAddress || await findPair(mint);
+    if (pairAddress) lp = await readPool(conn, pairAddress, cfg);
+  } catch (err) {
+    console.log(`[VETTING] LP check unavailable for ${mint}: ${describeError(err)}`);
+  }
+
+  return {
+    mint,
+    program: account.data.program,
+    mintAuthority: info.mintAuthority || null,
+    freezeAuthority: info.freezeAuthority || null,
+    extensions: activeExtensions(info.extensions),
+    transferFeeBps: transferFeeBps(info.extensions),
+    holders,
+    lp
+  };
+}
+
+/**
+ * Pure verdict over inspectToken() facts
+ * @param {object} facts - See inspectToken
+ * @param {object} [cfg] - Rules (defaults to config.vetting)
+ * @returns {{ passed: boolean, reasons: string[], topHolderPercent: number, lpLockedPercent: number|null }}
+ */
+function assessToken(facts, cfg = settings()) {
+  const reasons = [];
+  if (facts.mintAuthority && !cfg.allowMintAuthority) reasons.push('mint authority set');
+  if (facts.freezeAuthority && !cfg.allowFreezeAuthority) reasons.push('freeze authority set');
+  if (facts.transferFeeBps > cfg.maxTransferFeeBps) reasons.push(`transfer fee ${facts.transferFeeBps / 100}%`);
+
+  const blocked = facts.extensions.filter(e => cfg.blockedExtensions.includes(e));
+  if (blocked.length) reasons.push(`Token-2022 ${blocked.join(', ')}`);
+
+  const top = facts.holders.filter(h => !h.ignored).slice(0, cfg.topHolders);
+  const topHolderPercent = Number(top.reduce((sum, h) => sum + h.percent, 0).toFixed(2));
+  if (topHolderPercent > cfg.maxTopHolderPercent) {
+    reasons.push(`top ${top.length} holders own ${topHolderPercent}% > ${cfg.maxTopHolderPercent}%`);
+  }
+
+  const lpLockedPercent = facts.lp ? Math.min(100, Number((facts.lp.burnedPercent + facts.lp.lockedPercent).toFixed(2))) : null;
+  if (lpLockedPercent !== null && lpLockedPercent < cfg.minLpLockedPercent) {
+    reasons.push(`LP ${lpLockedPercent}% burned/locked < ${cfg.minLpLockedPercent}%`);
+  }
+
+  return { passed: reasons.length === 0, reasons, topHolderPercent, lpLockedPercent };
+}
+
+/**
+ * Vet a token before buying it (cached per mint)
+ * @param {string} mint - Token mint
+ * @param {{ pairAddress?: string }} [ctx]
+ * @returns {Promise<{ passed: boolean, reasons: string[], skipped?: string, error?: string, cached: boolean, checkedAt: number }>}
+ */
+async function vetToken(mint, ctx = {}) {
+  const cfg = settings();
+  if (!cfg.enabled) return { passed: true, reasons: [], skipped: 'disabled', cached: false };
+  if (mint === config.mints.SOL || mint === config.mints.USDC) return { passed: true, reasons: [], skipped: 'base asset', cached: false };
+  if (cfg.skipWatchlist && getToken(mint)) return { passed: true, reasons: [], skipped: 'watchlist', cached: false };
+
+  const hit = cache.get(mint);
+  if (hit && hit.expires > now()) return { ...hit.result, cached: true };
+
+  let result;
+  let ttlMinutes = cfg.cacheMinutes;
+  try {
+    const facts = await inspectToken(mint, ctx, cfg);
+    result = { ...assessToken(facts, cfg), facts, checkedAt: now() };
+  } catch (err) {
+    const error = err.message;
+    result = {
+      passed: !cfg.blockOnError,
+      reasons: cfg.blockOnError ? [`checks failed: ${error}`] : [],
+      error,
+      checkedAt: now()
+    };
+    ttlMinutes = cfg.errorCacheMinutes;
+  }
+
+  cache.set(mint, { result, expires: now() + ttlMinutes * 60000 });
+  console.log(`[VETTING] ${mint}: ${result.passed ? 'PASS' : `BLOCK (${result.reasons.join('; ')})`}`);
+  return { ...result, cached: false };
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const flag = (name) => {
+    const i = args.indexOf(name);
+    return i >= 0 ? args.splice(i, 2)[1] : null;
+  };
+  const rpc = flag('--rpc');
+  const pairAddress = flag('--pair');
+  const mint = args[0];
+  if (!mint) {
+    console.error('Usage: node src/vetting.js <mint> [--rpc <url>] [--pair <pairAddress>]');
+    process.exit(1);
+  }
+  if (rpc) setConnection(new Connection(rpc, 'confirmed'));
+
+  const facts = await inspectToken(mint, { pairAddress });
+  console.log(JSON.stringify({ facts, verdict: assessToken(facts) }, null, 2));
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error('[VETTING] Fatal error:', err.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { inspectToken, assessToken, vetToken, setConnection, LP_POOLS };
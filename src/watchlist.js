@@ -0,0 +1,269 @@
+/**
+ * Watchlist - tokens the bot always scans, per-token overrides and the denylist,
+ * loaded from watchlist.json and reloaded when the file changes
+ *
+ *   tokens[]       { symbol, mint, sector, maxSize?, strategies?, gridEligible? }
+ *                  maxSize caps a position's USD size, strategies limits which
+ *                  strategies may enter the token, gridEligible: false keeps the
+ *                  grid off it
+ *   denylist[]     { mint, symbol?, reason } - never bought, whatever the source;
+ *                  open longs are closed when watchlist.closeDenied is set
+ *   allowlistOnly  true = only watchlist tokens become candidates
+ *
+ * An invalid file is rejected as a whole: at startup that is fatal, on a reload
+ * the previous lists stay in force and an ERROR alert says why. Per-token
+ * strategies must be registered strategy names; strategy modules read the
+ * watchlist, so those are checked from watchWatchlist() on, once the registry
+ * has loaded. Every accepted
+ * change raises a WATCHLIST_UPDATE alert with the diff. Settings: config.watchlist.
+ */
+const fs = require('fs');
+const path = require('path');
+const config = require('../config.json');
+const { writeAlert } = require('./alerts');
+
+const DEFAULTS = {
+  file: path.join(__dirname, '..', 'watchlist.json'),
+  pollMs: 5000,        // how often the file's mtime is checked
+  closeDenied: true    // close open longs in a mint once it is denylisted
+};
+
+const TOKEN_KEYS = ['symbol', 'mint', 'sector', 'maxSize', 'strategies', 'gridEligible'];
+const DENY_KEYS = ['mint', 'symbol', 'reason'];
+const MINT_RE = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
+
+let current = { tokens: [], denylist: [], allowlistOnly: false };
+let tokensByMint = new Map();
+let deniedByMint = new Map();
+let watching = null;
+
+function settings() {
+  return { ...DEFAULTS, ...config.watchlist };
+}
+
+function checkKeys(entry, allowed, where, errors) {
+  for (const key of Object.keys(entry)) {
+    if (!allowed.includes(key)) errors.push(`${where}: unknown field "${key}"`);
+  }
+}
+
+/**
+ * Registered strategy names (required lazily: strategy modules require this one)
+ */
+function strategyNames() {
+  return require('./strategies').getStrategyNames();
+}
+
+/**
+ * Validate parsed watchlist data (pure)
+ * @param {object} data - Parsed watchlist.json
+ * @param {string[]} [knownStrategies] - Valid `strategies` entries; not checked when omitted
+ * @returns {{ errors: string[], value: object|null }} value is the normalized watchlist when there are no errors
+ */
+function validateWatchlist(data, knownStrategies) {
+  const errors = [];
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { errors: ['watchlist must be a JSON object'], value: null };
+  }
+  checkKeys(data, ['tokens', 'denylist', 'allowlistOnly'], 'watchlist', errors);
+  if (!Array.isArray(data.tokens)) errors.push('tokens must be an array');
+  if (data.denylist !== undefined && !Array.isArray(data.denylist)) errors.push('denylist must be an array');
+  if (data.allowlistOnly !== undefined && typeof data.allowlistOnly !== 'boolean') errors.push('allowlistOnly must be true or false');
+  if (errors.length) return { errors, value: null };
+
+  const mints = new Set();
+  const symbols = new Set();
+  data.tokens.forEach((t, i) => {
+    const where = `tokens[${i}]${t?.symbol ? ` (${t.symbol})` : ''}`;
+    if (!t || typeof t !== 'object') return errors.push(`${where}: must be an object`);
+    checkKeys(t, TOKEN_KEYS, where, errors);
+    if (typeof t.symbol !== 'string' || !t.symbol) errors.push(`${where}: symbol is required`);
+    else if (symbols.has(t.symbol)) errors.push(`${where}: duplicate symbol`);
+    if (!MINT_RE.test(t.mint || '')) errors.push(`${where}: invalid mint "${t.mint}"`);
+    else if (mints.has(t.mint)) errors.push(`${where}: duplicate mint`);
+    if (t.sector !== undefined && (typeof t.sector !== 'string' || !t.sector)) errors.push(`${where}: sector must be a string`);
+    if (t.maxSize !== undefined && !(typeof t.maxSize === 'number' && t.maxSize > 0)) errors.push(`${where}: maxSize must be a positive number`);
+    if (t.strategies !== undefined && !(Array.isArray(t.strategies) && t.strategies.every(s => typeof s === 'string'))) {
+      errors.push(`${where}: strategies must be an array of strategy names`);
+    } else if (t.strategies && knownStrategies) {
+      for (const name of t.strategies.filter(s => !knownStrategies.includes(s))) {
+        errors.push(`${where}: unknown strategy "${name}" (known: ${knownStrategies.join(', ')})`);
+      }
+    }
+    if (t.gridEligible !== undefined && typeof t.gridEligible !== 'boolean') errors.push(`${where}: gridEligible must be true or false`);
+    mints.add(t.mint);
+    symbols.add(t.symbol);
+  });
+
+  const denied = new Set();
+  (data.denylist || []).forEach((d, i) => {
+    const where = `denylist[${i}]${d?.symbol ? ` (${d.symbol})` : ''}`;
+    if (!d || typeof d !== 'object') return errors.push(`${where}: must be an object`);
+    checkKeys(d, DENY_KEYS, where, errors);
+    if (!MINT_RE.test(d.mint || '')) errors.push(`${where}: invalid mint "${d.mint}"`);
+    else if (denied.has(d.mint)) errors.push(`${where}: duplicate mint`);
+    if (typeof d.reason !== 'string' || !d.reason.trim()) errors.push(`${where}: reason is required`);
+    denied.add(d.mint);
+  });
+
+  if (errors.length) return { errors, value: null };
+  return {
+    errors,
+    value: {
+      tokens: data.tokens.map(t => ({ sector: 'other', ...t })),
+      denylist: data.denylist || [],
+      allowlistOnly: data.allowlistOnly === true
+    }
+  };
+}
+
+/**
+ * What changed between two validated watchlists
+ * @returns {{ added: string[], removed: string[], changed: string[], denied: string[], undenied: string[], allowlistOnly?: boolean }}
+ */
+function diffWatchlists(prev, next) {
+  const label = (entry) => entry.symbol || entry.mint.slice(0, 8);
+  const prevTokens = new Map(prev.tokens.map(t => [t.mint, t]));
+  const nextTokens = new Map(next.tokens.map(t => [t.mint, t]));
+  const prevDenied = new Map(prev.denylist.map(d => [d.mint, d]));
+  const nextDenied = new Map(next.denylist.map(d => [d.mint, d]));
+
+  const diff = {
+    added: next.tokens.filter(t => !prevTokens.has(t.mint)).map(label),
+    removed: prev.tokens.filter(t => !nextTokens.has(t.mint)).map(label),
+    changed: next.tokens.filter(t => prevTokens.has(t.mint) && JSON.stringify(prevTokens.get(t.mint)) !== JSON.stringify(t)).map(label),
+    denied: next.denylist.filter(d => !prevDenied.has(d.mint) || prevDenied.get(d.mint).reason !== d.reason).map(d => `${label(d)} (${d.reason})`),
+    undenied: prev.denylist.filter(d => !nextDenied.has(d.mint)).map(label)
+  };
+  if (prev.allowlistOnly !== next.allowlistOnly) diff.allowlistOnly = next.allowlistOnly;
+  return diff;
+}
+
+function isEmptyDiff(diff) {
+  return ['added', 'removed', 'changed', 'denied', 'undenied'].every(k => diff[k].length === 0) && diff.allowlistOnly === undefined;
+}
+
+function apply(value) {
+  current = value;
+  tokensByMint = new Map(value.tokens.map(t => [t.mint, t]));
+  deniedByMint = new Map(value.denylist.map(d => [d.mint, d]));
+}
+
+/**
+ * Read and validate the watchlist file
+ * @param {string} file
+ * @param {string[]} [knownStrategies] - See validateWatchlist
+ * @returns {object} Validated watchlist
+ * @throws {Error} If the file is missing, not JSON or invalid
+ */
+function readWatchlist(file, knownStrategies) {
+  const data = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  const { errors, value } = validateWatchlist(data, knownStrategies);
+  if (errors.length) throw new Error(`Invalid watchlist ${file}: ${errors.join('; ')}`);
+  return value;
+}
+
+/**
+ * Re-read the file; a valid change replaces the lists and alerts, an invalid file keeps the old ones
+ * @returns {boolean} True if the lists changed
+ */
+function reloadWatchlist() {
+  const { file } = settings();
+  let next;
+  try {
+    next = readWatchlist(file, strategyNames());
+  } catch (err) {
+    writeAlert('ERROR', `Watchlist reload rejected, keeping previous lists: ${err.message}`);
+    return false;
+  }
+
+  const diff = diffWatchlists(current, next);
+  if (isEmptyDiff(diff)) return false;
+  apply(next);
+
+  const parts = Object.entries(diff)
+    .filter(([, v]) => Array.isArray(v) ? v.length : true)
+    .map(([k, v]) => `${k}: ${Array.isArray(v) ? v.join(', ') : v}`);
+  writeAlert('WATCHLIST_UPDATE', `Watchlist reloaded (${next.tokens.length} tokens, ${next.denylist.length} denied) | ${parts.join(' | ')}`, diff);
+  return true;
+}
+
+/**
+ * Check the watchlist against the strategy registry, then reload it whenever its file changes
+ * @throws {Error} If a token lists an unknown strategy (called at startup, so that is fatal)
+ */
+function watchWatchlist() {
+  if (watching) return;
+  const { file, pollMs } = settings();
+  apply(readWatchlist(file, strategyNames()));
+  watching = file;
+  fs.watchFile(file, { interval: pollMs }, (curr, prev) => {
+    if (curr.mtimeMs !== prev.mtimeMs) reloadWatchlist();
+  });
+  console.log(`[WATCHLIST] Watching ${file} (${current.tokens.length} tokens, ${current.denylist.length} denied)`);
+}
+
+function unwatchWatchlist() {
+  if (!watching) return;
+  fs.unwatchFile(watching);
+  watching = null;
+}
+
+/**
+ * Watchlist tokens, denylisted ones left out
+ * @returns {Array<{ symbol: string, mint: string, sector: string, maxSize?: number, strategies?: string[], gridEligible?: boolean }>}
+ */
+function getWatchlist() {
+  return current.tokens.filter(t => !deniedByMint.has(t.mint));
+}
+
+/**
+ * Watchlist entry for a mint (undefined if not listed)
+ */
+function getToken(mint) {
+  return tokensByMint.get(mint);
+}
+
+/**
+ * Sector tag for a mint (untagged tokens fall in 'other')
+ */
+function getSector(mint) {
+  return tokensByMint.get(mint)?.sector || 'other';
+}
+
+/**
+ * Denylist entry for a mint, or null
+ * @returns {{ mint: string, symbol?: string, reason: string } | null}
+ */
+function getDenial(mint) {
+  return deniedByMint.get(mint) || null;
+}
+
+/**
+ * Denylist entry for an open long that should be closed (watchlist.closeDenied), or null
+ */
+function getDeniedExit(mint) {
+  return settings().closeDenied ? getDenial(mint) : null;
+}
+
+/**
+ * True when only watchlist tokens may become candidates
+ */
+function isAllowlistOnly() {
+  return current.allowlistOnly;
+}
+
+/**
+ * True if `strategy` may enter `mint`: no strategies override, or the strategy is listed
+ */
+function tokenAllowsStrategy(mint, strategy) {
+  const allowed = tokensByMint.get(mint)?.strategies;
+  return !allowed || allowed.includes(strategy);
+}
+
+apply(readWatchlist(settings().file));
+
+module.exports = {
+  validateWatchlist, diffWatchlists, reloadWatchlist, watchWatchlist, unwatchWatchlist,
+  getWatchlist, getToken, getSector, getDenial, getDeniedExit, isAllowlistOnly, tokenAllowsStrategy
+};
@@ -0,0 +1,47 @@
+/**
+ * History snapshot: a save / reload (as across a restart) keeps the indicator bars
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../config.json');
+const { setClock } = require('../src/utils');
+
+const MINT = 'So11111111111111111111111111111111111111112';
+
+/** Fresh candle / history modules, as after a restart */
+function freshHistory() {
+  for (const mod of ['candles', 'history', 'trend']) delete require.cache[require.resolve(`../src/${mod}`)];
+  return require('../src/history');
+}
+
+test('a reloaded snapshot keeps enough indicator bars for mean reversion', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'history-test-'));
+  const saved = { ...config.history };
+  config.history.snapshotFile = path.join(dir, 'history.json');
+  config.history.snapshotTimeframes = ['15m', '1h'];
+  let clock = Date.UTC(2026, 0, 1);
+  setClock(() => clock);
+  t.after(() => {
+    Object.assign(config.history, saved);
+    setClock(null);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const before = freshHistory();
+  for (let i = 0; i < 30; i++) {
+    before.recordPrice(MINT, 100 + Math.sin(i), { volume1h: 1e6 });
+    clock += 5 * 60 * 1000;
+  }
+  assert.equal(before.getPriceSeries(MINT).length, 30);
+  before.saveHistorySnapshot();
+
+  const after = freshHistory();
+  assert.equal(after.getPriceSeries(MINT).length, 0);
+  after.loadHistorySnapshot();
+  const series = after.getPriceSeries(MINT);
+  assert.ok(series.length >= 20, `${series.length} indicator bars after reload`);
+  assert.equal(series[series.length - 1].price, 100 + Math.sin(29));
+});
@@ -0,0 +1,160 @@
+/**
+ * Indicator tests against published reference series
+ *
+ * SMA / EMA, RSI and ATR use the worked examples from StockCharts ChartSchool
+ * (cs-movavg, cs-rsi, cs-atr spreadsheets), correlation and beta use Anscombe's
+ * quartet (r = 0.816, slope 0.500 for all four sets). ADX, MACD, Bollinger,
+ * VWAP, Donchian and returns are checked on series with closed-form answers.
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ind = require('../src/indicators');
+
+/** Expected values start at `from`; everything before it must be null (warm-up) */
+function assertSeries(actual, expected, from, tolerance) {
+  assert.equal(actual.length, from + expected.length);
+  for (let i = 0; i < from; i++) assert.equal(actual[i], null, `index ${i} should be null`);
+  expected.forEach((v, j) => {
+    const got = actual[from + j];
+    assert.ok(Math.abs(got - v) <= tolerance + 1e-9, `index ${from + j}: got ${got}, expected ${v}`);
+  });
+}
+
+const bars = (rows) => rows.map(([high, low, close, volume]) => ({ open: close, high, low, close, volume }));
+
+// StockCharts cs-movavg: 10-day SMA and EMA
+const MA_CLOSES = [
+  22.2734, 22.194, 22.0847, 22.1741, 22.184, 22.1344, 22.2337, 22.4323, 22.2436, 22.2933,
+  22.1542, 22.3926, 22.3816, 22.6109, 23.3558, 24.0519, 23.753, 23.8324, 23.9516, 23.6338,
+  23.8225, 23.8722, 23.6537, 23.187, 23.0976, 23.326, 22.6806, 23.0976, 22.4025, 22.1725
+];
+
+test('sma matches the StockCharts 10-day SMA', () => {
+  assertSeries(ind.sma(MA_CLOSES, 10), [
+    22.22, 22.21, 22.23, 22.26, 22.31, 22.42, 22.61, 22.77, 22.91, 23.08, 23.21,
+    23.38, 23.53, 23.65, 23.71, 23.69, 23.61, 23.51, 23.43, 23.28, 23.13
+  ], 9, 0.005);
+});
+
+test('ema matches the StockCharts 10-day EMA (seeded with the SMA)', () => {
+  assertSeries(ind.ema(MA_CLOSES, 10), [
+    22.22, 22.21, 22.24, 22.27, 22.33, 22.52, 22.80, 22.97, 23.13, 23.28, 23.34,
+    23.43, 23.51, 23.54, 23.47, 23.40, 23.39, 23.26, 23.23, 23.08, 22.92
+  ], 9, 0.005);
+});
+
+test('rsi matches the StockCharts 14-day Wilder RSI', () => {
+  const closes = [
+    44.3389, 44.0902, 44.1497, 43.6124, 44.3278, 44.8264, 45.0955, 45.4245, 45.8433, 46.0826,
+    45.8931, 46.0328, 45.614, 46.282, 46.282, 46.0028, 46.0328, 46.4116, 46.2222, 45.6439,
+    46.2122, 46.2521, 45.7137, 46.4515, 45.7835, 45.3548, 44.0288, 44.1783, 44.2181, 44.5672,
+    43.4205, 42.6628, 43.1314
+  ];
+  assertSeries(ind.rsi(closes, 14), [
+    70.53, 66.32, 66.55, 69.41, 66.36, 57.97, 62.93, 63.26, 56.06, 62.38,
+    54.71, 50.42, 39.99, 41.46, 41.87, 45.46, 37.30, 33.08, 37.77
+  ], 14, 0.005);
+});
+
+test('rsi is 100 with no losses and 50 on a flat series', () => {
+  assert.equal(ind.last(ind.rsi([1, 2, 3, 4, 5, 6], 3)), 100);
+  assert.equal(ind.last(ind.rsi([5, 5, 5, 5, 5], 3)), 50);
+});
+
+test('atr matches the StockCharts 14-day ATR', () => {
+  // StockCharts counts the first day's high - low as a true range; atr() skips the
+  // first bar, so a flat bar at the first close is prepended (its TR is ignored and
+  // the next bar's TR is still high - low). Published values are rounded to 0.01.
+  const candles = bars([
+    [48.16, 48.16, 48.16],
+    [48.70, 47.79, 48.16], [48.72, 48.14, 48.61], [48.90, 48.39, 48.75], [48.87, 48.37, 48.63],
+    [48.82, 48.24, 48.74], [49.05, 48.64, 49.03], [49.20, 48.94, 49.07], [49.35, 48.86, 49.32],
+    [49.92, 49.50, 49.91], [50.19, 49.87, 50.13], [50.12, 49.20, 49.53], [49.66, 48.90, 49.50],
+    [49.88, 49.43, 49.75], [50.19, 49.73, 50.03], [50.36, 49.26, 50.31], [50.57, 50.09, 50.52],
+    [50.65, 50.30, 50.41], [50.43, 49.21, 49.34], [49.63, 48.98, 49.37], [50.33, 49.61, 50.23],
+    [50.29, 49.20, 49.24], [50.17, 49.43, 49.93], [49.32, 48.08, 48.43], [48.50, 47.64, 48.18],
+    [48.32, 41.55, 46.57], [46.80, 44.28, 45.41], [47.80, 47.31, 47.77], [48.39, 47.20, 47.72],
+    [48.66, 47.90, 48.62], [48.79, 47.73, 47.85]
+  ]);
+  assertSeries(ind.atr(candles, 14), [
+    0.56, 0.59, 0.59, 0.57, 0.62, 0.62, 0.64, 0.67, 0.69, 0.78, 0.78, 1.21, 1.30, 1.38, 1.37, 1.34, 1.32
+  ], 14, 0.01);
+});
+
+test('adx is 100 on a steady uptrend after 2 x period - 1 bars', () => {
+  // Every bar is 1 higher with a range of 2: TR 2, +DM 1, -DM 0, so +DI 50, -DI 0, DX 100
+  const candles = bars(Array.from({ length: 40 }, (_, i) => [10 + i, 8 + i, 9 + i]));
+  const { adx, plusDI, minusDI } = ind.adx(candles, 14);
+  assertSeries(plusDI, new Array(26).fill(50), 14, 1e-9);
+  assertSeries(minusDI, new Array(26).fill(0), 14, 1e-9);
+  assertSeries(adx, new Array(13).fill(100), 27, 1e-9);
+});
+
+test('adx, +DI and -DI are 0 on a flat series', () => {
+  // Zero true range: DI and DX must be 0 after warm-up, not null or NaN fed into the smoothing
+  const candles = bars(Array.from({ length: 40 }, () => [5, 5, 5]));
+  const { adx, plusDI, minusDI } = ind.adx(candles, 14);
+  assertSeries(plusDI, new Array(26).fill(0), 14, 0);
+  assertSeries(minusDI, new Array(26).fill(0), 14, 0);
+  assertSeries(adx, new Array(13).fill(0), 27, 0);
+});
+
+test('macd on a linear ramp is the EMA lag difference with a flat histogram', () => {
+  // An SMA-seeded EMA of x = a + b*t lags by b * (n - 1) / 2, so MACD(12, 26) = 7b
+  const values = Array.from({ length: 60 }, (_, t) => 100 + 2 * t);
+  const { macd, signal, histogram } = ind.macd(values, 12, 26, 9);
+  assertSeries(macd, new Array(35).fill(14), 25, 1e-9);
+  assertSeries(signal, new Array(27).fill(14), 33, 1e-9);
+  assertSeries(histogram, new Array(27).fill(0), 33, 1e-9);
+});
+
+test('bollinger uses the population standard deviation', () => {
+  // Alternating 10 / 12: mean 11, population sd 1 (the sample sd would be 1.026)
+  const values = Array.from({ length: 25 }, (_, i) => (i % 2 ? 12 : 10));
+  const { middle, upper, lower } = ind.bollinger(values, 20, 2);
+  assertSeries(middle, new Array(6).fill(11), 19, 1e-9);
+  assertSeries(upper, new Array(6).fill(13), 19, 1e-9);
+  assertSeries(lower, new Array(6).fill(9), 19, 1e-9);
+});
+
+test('vwap accumulates typical price x volume and carries over empty bars', () => {
+  const candles = bars([
+    [10, 8, 9, 0],      // no volume yet
+    [10, 8, 9, 100],    // typical 9
+    [12, 10, 11, 300],  // typical 11 -> 4200 / 400
+    [11, 9, 10, 0],     // carried
+    [13, 11, 12, 100]   // typical 12 -> 5400 / 500
+  ]);
+  assertSeries(ind.vwap(candles), [9, 10.5, 10.5, 10.8], 1, 1e-9);
+});
+
+test('donchian uses the previous period bars, excluding the current one', () => {
+  const candles = bars([[5, 1], [7, 2], [6, 3], [8, 1], [4, 2], [9, 5]].map(([h, l]) => [h, l, (h + l) / 2]));
+  const { upper, lower, middle } = ind.donchian(candles, 3);
+  assertSeries(upper, [7, 8, 8], 3, 0);
+  assertSeries(lower, [1, 1, 1], 3, 0);
+  assertSeries(middle, [4, 4.5, 4.5], 3, 0);
+});
+
+test('returns are simple period-over-period changes', () => {
+  const r = ind.returns([100, 110, 99, 99]);
+  assert.equal(r.length, 3);
+  [0.1, -0.1, 0].forEach((v, i) => assert.ok(Math.abs(r[i] - v) < 1e-12));
+});
+
+test('correlation and beta match Anscombe\'s quartet', () => {
+  const x = [10, 8, 13, 9, 11, 14, 6, 4, 12, 7, 5];
+  const quartet = [
+    [x, [8.04, 6.95, 7.58, 8.81, 8.33, 9.96, 7.24, 4.26, 10.84, 4.82, 5.68]],
+    [x, [9.14, 8.14, 8.74, 8.77, 9.26, 8.10, 6.13, 3.10, 9.13, 7.26, 4.74]],
+    [x, [7.46, 6.77, 12.74, 7.11, 7.81, 8.84, 6.08, 5.39, 8.15, 6.42, 5.73]],
+    [[8, 8, 8, 8, 8, 8, 8, 19, 8, 8, 8], [6.58, 5.76, 7.71, 8.84, 8.47, 7.04, 5.25, 12.50, 5.56, 7.91, 6.89]]
+  ];
+  // Published to three decimals; set IV's r is 0.8165
+  for (const [xs, ys] of quartet) {
+    assert.ok(Math.abs(ind.correlation(xs, ys) - 0.816) < 0.001);
+    assert.ok(Math.abs(ind.beta(ys, xs) - 0.500) < 0.001);
+  }
+  assert.equal(ind.correlation([1, 2, 3], [5, 5, 5]), null);
+  assert.equal(ind.beta([1, 2, 3], [5, 5, 5]), null);
+});
@@ -0,0 +1,89 @@
+/**
+ * Oracle aggregation with mock sources (setAdapter): median, outlier and
+ * staleness rejection, lone-source confidence and the isTrusted gate
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const config = require('../config.json');
+const { setClock } = require('../src/utils');
+const { getPrice, isTrusted, setAdapter } = require('../src/oracle');
+
+const SOURCES = ['a', 'b', 'c'];
+const T0 = Date.UTC(2026, 0, 1);
+let clock = T0;
+// source -> mint -> quote (missing = the source doesn't cover the mint)
+let quotes = {};
+
+test.before(() => {
+  config.recorder.enabled = false;
+  config.oracle = { ...config.oracle, sources: SOURCES, maxAgeSeconds: 60, maxDeviationPercent: 2, minSources: 2, minConfidence: 0.5, continuityMinutes: 5 };
+  setClock(() => clock);
+  for (const name of SOURCES) setAdapter(name, async (mint) => quotes[name][mint] || null);
+});
+
+test.after(() => {
+  for (const name of SOURCES) setAdapter(name, null);
+  setClock(null);
+});
+
+test.beforeEach(() => {
+  clock = T0;
+  quotes = { a: {}, b: {}, c: {} };
+});
+
+test('three agreeing sources give their median at full confidence', async () => {
+  Object.assign(quotes, { a: { M1: { price: 100 } }, b: { M1: { price: 101 } }, c: { M1: { price: 100.5 } } });
+  const q = await getPrice('M1');
+  assert.equal(q.price, 100.5);
+  assert.equal(q.confidence, 1);
+  assert.deepEqual(q.sources, SOURCES);
+  assert.ok(isTrusted(q));
+});
+
+test('a quote beyond maxDeviationPercent from the median is rejected as an outlier', async () => {
+  Object.assign(quotes, { a: { M2: { price: 100 } }, b: { M2: { price: 100.5 } }, c: { M2: { price: 110 } } });
+  const q = await getPrice('M2');
+  assert.equal(q.price, 100.25);
+  assert.deepEqual(q.sources, ['a', 'b']);
+  assert.equal(q.confidence, 0.67);
+  assert.deepEqual(q.rejected.map(r => [r.source, r.reason]), [['c', 'outlier']]);
+  assert.ok(isTrusted(q));
+});
+
+test('a quote older than maxAgeSeconds is rejected as stale', async () => {
+  Object.assign(quotes, {
+    a: { M3: { price: 90, ts: T0 - 61 * 1000 } },
+    b: { M3: { price: 100, ts: T0 - 10 * 1000 } },
+    c: { M3: { price: 100.4 } }
+  });
+  const q = await getPrice('M3');
+  assert.equal(q.price, 100.2);
+  assert.deepEqual(q.sources, ['b', 'c']);
+  assert.deepEqual(q.rejected.map(r => [r.source, r.reason]), [['a', 'stale']]);
+});
+
+test('a lone source gets 0.4 without a recent in-line price and 0.75 with one', async () => {
+  quotes.a.M4 = { price: 100 };
+  const first = await getPrice('M4');
+  assert.deepEqual(first.sources, ['a']);
+  assert.equal(first.confidence, 0.4);
+  assert.equal(isTrusted(first), false, 'a low-confidence single-source quote must not fire SL/TP');
+
+  clock += 60 * 1000;
+  quotes.a.M4 = { price: 101 };
+  const inLine = await getPrice('M4');
+  assert.equal(inLine.confidence, 0.75);
+  assert.ok(isTrusted(inLine));
+
+  clock += 60 * 1000;
+  quotes.a.M4 = { price: 110 };
+  const jumped = await getPrice('M4');
+  assert.equal(jumped.confidence, 0.4);
+  assert.equal(isTrusted(jumped), false);
+});
+
+test('no quote at all is not trusted', async () => {
+  assert.equal(await getPrice('M5'), null);
+  assert.equal(isTrusted(null), false);
+  assert.equal(isTrusted(undefined), false);
+});
@@ -0,0 +1,228 @@
+/**
+ * Token vetting against fixture accounts served by a stub connection (setConnection)
+ *
+ * Pool fixtures are serialized field by field from the Raydium AMM v4
+ * (LiquidityStateV4) and CPMM (PoolState) layouts, so the LP offsets in
+ * src/vetting.js are checked against the struct definitions, not against
+ * themselves.
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Keypair, PublicKey } = require('@solana/web3.js');
+const { inspectToken, assessToken, vetToken, setConnection, LP_POOLS } = require('../src/vetting');
+
+const RULES = {
+  allowMintAuthority: false,
+  allowFreezeAuthority: false,
+  maxTransferFeeBps: 0,
+  blockedExtensions: ['transferHook', 'permanentDelegate', 'nonTransferable', 'defaultAccountState'],
+  topHolders: 10,
+  maxTopHolderPercent: 50,
+  ignoreHolders: [],
+  minLpLockedPercent: 90,
+  lpLockers: []
+};
+
+const AMM_V4 = '675kPX9MHTjS2zt1qfr1NYHuzeLXfQM9H24wFSUt1Mp8';
+const CPMM = 'CPMMoo8L3F4NbTegBCKVNunggL7H1ZpdTHKxQB5qKP1R';
+
+// LiquidityStateV4: 32 u64 header fields (status .. orderbookToInitTime), u128/u64 swap counters, 12 pubkeys, then lpReserve
+const AMM_V4_FIELDS = [
+  ...Array.from({ length: 32 }, (_, i) => [`u64_${i}`, 8]),
+  ['swapBaseInAmount', 16], ['swapQuoteOutAmount', 16], ['swapBase2QuoteFee', 8],
+  ['swapQuoteInAmount', 16], ['swapBaseOutAmount', 16], ['swapQuote2BaseFee', 8],
+  ['baseVault', 32], ['quoteVault', 32], ['baseMint', 32], ['quoteMint', 32], ['lpMint', 32],
+  ['openOrders', 32], ['marketId', 32], ['marketProgramId', 32], ['targetOrders', 32],
+  ['withdrawQueue', 32], ['lpVault', 32], ['owner', 32], ['lpReserve', 8], ['padding', 24]
+];
+
+// CPMM PoolState: anchor discriminator, 10 pubkeys, bump/status/decimals bytes, then lp_supply
+const CPMM_FIELDS = [
+  ['discriminator', 8], ['ammConfig', 32], ['poolCreator', 32], ['token0Vault', 32], ['token1Vault', 32],
+  ['lpMint', 32], ['token0Mint', 32], ['token1Mint', 32], ['token0Program', 32], ['token1Program', 32],
+  ['observationKey', 32], ['authBump', 1], ['status', 1], ['lpMintDecimals', 1], ['mint0Decimals', 1],
+  ['mint1Decimals', 1], ['lpSupply', 8], ['protocolFeesToken0', 8], ['protocolFeesToken1', 8]
+];
+
+/** Serialize a pool account: pubkeys as 32 bytes, bigints as u64 LE, everything else left zero */
+function poolData(fields, values) {
+  const size = fields.reduce((sum, [, n]) => sum + n, 0);
+  const data = Buffer.alloc(size);
+  let offset = 0;
+  for (const [name, n] of fields) {
+    const value = values[name];
+    if (value instanceof PublicKey) value.toBuffer().copy(data, offset);
+    else if (typeof value === 'bigint') data.writeBigUInt64LE(value, offset);
+    offset += n;
+  }
+  return data;
+}
+
+const wallet = () => Keypair.generate().publicKey;
+// Off-curve address, like a pool vault or locker PDA
+const pda = (seed) => PublicKey.findProgramAddressSync([Buffer.from(seed)], new PublicKey(AMM_V4))[0];
+
+/**
+ * Stub of the Connection methods vetting uses, over fixture accounts
+ * @param {object} f - { mint, mintInfo, program, holders: [{ owner, amount }], pool?: { address, owner, data }, lpSupply?, lpHolders? }
+ */
+function fixtureConnection(f) {
+  const tokenAccounts = new Map(); // token account -> owner
+  const largest = (holders) => holders.map(h => {
+    const address = wallet();
+    tokenAccounts.set(address.toBase58(), h.owner.toBase58());
+    return { address, amount: String(h.amount) };
+  });
+  const holderAccounts = largest(f.holders);
+  const lpAccounts = largest(f.lpHolders || []);
+
+  return {
+    async getParsedAccountInfo(key) {
+      if (!key.equals(f.mint)) return { value: null };
+      return { value: { data: { program: f.program || 'spl-token', parsed: { type: 'mint', info: f.mintInfo } } } };
+    },
+    async getTokenLargestAccounts(key) {
+      return { value: key.equals(f.mint) ? holderAccounts : lpAccounts };
+    },
+    async getMultipleParsedAccounts(keys) {
+      return { value: keys.map(k => ({ data: { parsed: { info: { owner: tokenAccounts.get(k.toBase58()) } } } })) };
+    },
+    async getAccountInfo(key) {
+      if (!f.pool || !key.equals(f.pool.address)) return null;
+      return { owner: new PublicKey(f.pool.owner), data: f.pool.data };
+    },
+    async getTokenSupply() {
+      return { value: { amount: String(f.lpSupply) } };
+    }
+  };
+}
+
+/** A clean SPL mint: no authorities, 20 holders with 5% each */
+function cleanToken(overrides = {}) {
+  const mint = wallet();
+  return {
+    mint,
+    mintInfo: { supply: '1000000', mintAuthority: null, freezeAuthority: null },
+    holders: Array.from({ length: 20 }, () => ({ owner: wallet(), amount: 50000n })),
+    ...overrides
+  };
+}
+
+async function inspect(fixture, cfg = RULES) {
+  setConnection(fixtureConnection(fixture));
+  const facts = await inspectToken(fixture.mint.toBase58(), { pairAddress: fixture.pool?.address.toBase58() || wallet().toBase58() }, cfg);
+  return { facts, verdict: assessToken(facts, cfg) };
+}
+
+test.after(() => setConnection(null));
+
+test('a clean mint passes', async () => {
+  const { facts, verdict } = await inspect(cleanToken());
+  assert.equal(facts.lp, null);
+  assert.deepEqual(verdict.reasons, []);
+  assert.equal(verdict.topHolderPercent, 50);
+});
+
+test('mint and freeze authorities still set are blocked', async () => {
+  const fixture = cleanToken();
+  fixture.mintInfo = { ...fixture.mintInfo, mintAuthority: wallet().toBase58(), freezeAuthority: wallet().toBase58() };
+  const { verdict } = await inspect(fixture);
+  assert.equal(verdict.passed, false);
+  assert.deepEqual(verdict.reasons, ['mint authority set', 'freeze authority set']);
+});
+
+test('Token-2022 transfer fees and transfer hooks are blocked', async () => {
+  const fee = cleanToken({ program: 'spl-token-2022' });
+  fee.mintInfo = {
+    ...fee.mintInfo,
+    extensions: [{
+      extension: 'transferFeeConfig',
+      state: { olderTransferFee: { transferFeeBasisPoints: 0 }, newerTransferFee: { transferFeeBasisPoints: 250 } }
+    }]
+  };
+  const withFee = await inspect(fee);
+  assert.equal(withFee.facts.transferFeeBps, 250);
+  assert.deepEqual(withFee.verdict.reasons, ['transfer fee 2.5%']);
+
+  const hook = cleanToken({ program: 'spl-token-2022' });
+  hook.mintInfo = { ...hook.mintInfo, extensions: [{ extension: 'transferHook', state: { programId: wallet().toBase58() } }] };
+  assert.deepEqual((await inspect(hook)).verdict.reasons, ['Token-2022 transferHook']);
+
+  // A hook whose program was cleared is inactive
+  const cleared = cleanToken({ program: 'spl-token-2022' });
+  cleared.mintInfo = { ...cleared.mintInfo, extensions: [{ extension: 'transferHook', state: { programId: null } }] };
+  assert.deepEqual((await inspect(cleared)).verdict.reasons, []);
+});
+
+test('top-holder concentration over the limit is blocked; program-owned vaults do not count', async () => {
+  const whale = wallet();
+  const fixture = cleanToken({
+    holders: [
+      { owner: pda('vault'), amount: 400000n },
+      { owner: whale, amount: 300000n },
+      ...Array.from({ length: 10 }, () => ({ owner: wallet(), amount: 30000n }))
+    ]
+  });
+  const { facts, verdict } = await inspect(fixture);
+  assert.ok(facts.holders.find(h => h.percent === 40).ignored, 'the PDA vault is ignored');
+  // whale 30% + nine 3% wallets = 57% > 50%
+  assert.equal(verdict.topHolderPercent, 57);
+  assert.deepEqual(verdict.reasons, ['top 10 holders own 57% > 50%']);
+
+  const { verdict: ignoringWhale } = await inspect(fixture, { ...RULES, ignoreHolders: [whale.toBase58()] });
+  assert.equal(ignoringWhale.topHolderPercent, 30);
+  assert.equal(ignoringWhale.passed, true);
+});
+
+test('Raydium AMM v4 layout: burned LP passes, unlocked LP is blocked', async () => {
+  assert.deepEqual(LP_POOLS[AMM_V4], { name: 'raydium-amm-v4', lpMint: 464, lpIssued: 720 });
+  const lpMint = wallet();
+  const pool = (lpReserve) => ({
+    address: wallet(),
+    owner: AMM_V4,
+    data: poolData(AMM_V4_FIELDS, { baseMint: wallet(), quoteMint: wallet(), lpMint, lpVault: wallet(), lpReserve })
+  });
+
+  // 1,000,000 LP issued, 50,000 still in circulation: 95% burned
+  const burned = await inspect(cleanToken({ pool: pool(1000000n), lpSupply: 50000n }));
+  assert.equal(burned.facts.lp.pool, 'raydium-amm-v4');
+  assert.equal(burned.facts.lp.lpMint, lpMint.toBase58());
+  assert.equal(burned.facts.lp.burnedPercent, 95);
+  assert.deepEqual(burned.verdict.reasons, []);
+
+  // Nothing burned
+  const unlocked = await inspect(cleanToken({ pool: pool(1000000n), lpSupply: 1000000n }));
+  assert.equal(unlocked.verdict.lpLockedPercent, 0);
+  assert.deepEqual(unlocked.verdict.reasons, ['LP 0% burned/locked < 90%']);
+});
+
+test('Raydium CPMM layout: LP held by a locker counts as locked', async () => {
+  assert.deepEqual(LP_POOLS[CPMM], { name: 'raydium-cpmm', lpMint: 136, lpIssued: 333 });
+  const lpMint = wallet();
+  const locker = pda('locker');
+  const fixture = cleanToken({
+    pool: {
+      address: wallet(),
+      owner: CPMM,
+      data: poolData(CPMM_FIELDS, { token0Mint: wallet(), token1Mint: wallet(), lpMint, observationKey: wallet(), lpSupply: 1000000n })
+    },
+    lpSupply: 1000000n,
+    lpHolders: [{ owner: locker, amount: 920000n }, { owner: wallet(), amount: 80000n }]
+  });
+
+  const unlocked = await inspect(fixture);
+  assert.equal(unlocked.facts.lp.pool, 'raydium-cpmm');
+  assert.equal(unlocked.facts.lp.lpMint, lpMint.toBase58());
+  assert.equal(unlocked.verdict.passed, false);
+
+  const locked = await inspect(fixture, { ...RULES, lpLockers: [locker.toBase58()] });
+  assert.equal(locked.facts.lp.lockedPercent, 92);
+  assert.deepEqual(locked.verdict.reasons, []);
+});
+
+test('vetToken blocks when the mint cannot be read', async () => {
+  setConnection(fixtureConnection(cleanToken()));
+  const result = await vetToken(wallet().toBase58(), { pairAddress: wallet().toBase58() });
+  assert.equal(result.passed, false);
+  assert.match(result.reasons[0], /is not a token mint/);
+});
@@ -0,0 +1,24 @@
+/**
+ * Watchlist validation: per-token strategies must be registered strategy names
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateWatchlist } = require('../src/watchlist');
+const { getStrategyNames } = require('../src/strategies');
+
+const MINT = 'JUPyiwrYJFskUPiHa7hkeR8VUtAeFoSYbKedZNsDvCN';
+
+test('a misspelled strategy name is a validation error', () => {
+  const data = { tokens: [{ symbol: 'JUP', mint: MINT, strategies: ['meanRevertion'] }] };
+  const { errors, value } = validateWatchlist(data, getStrategyNames());
+  assert.equal(value, null);
+  assert.equal(errors.length, 1);
+  assert.match(errors[0], /^tokens\[0\] \(JUP\): unknown strategy "meanRevertion"/);
+});
+
+test('registered strategy names pass', () => {
+  const data = { tokens: [{ symbol: 'JUP', mint: MINT, strategies: ['meanReversion', 'rotation'] }] };
+  const { errors, value } = validateWatchlist(data, getStrategyNames());
+  assert.deepEqual(errors, []);
+  assert.deepEqual(value.tokens[0].strategies, ['meanReversion', 'rotation']);
+});